@@ -0,0 +1,155 @@
+/**
+ * Unified Mind Index Backfill CLI
+ * Write the R2 memory index entries missing for vectors stored before the index existed
+ *
+ * Usage:
+ *   CLOUDFLARE_ACCOUNT_ID=... CLOUDFLARE_API_TOKEN=... node backfill-index.js --token <token>
+ *   node backfill-index.js --index unified-mind-index --cursor <cursor> --dry-run
+ */
+
+// Configuration
+let UNIFIED_MIND_URL = process.env.UNIFIED_MIND_URL || 'http://localhost:8787/mcp';
+let authToken = process.env.UNIFIED_MIND_TOKEN || null;
+const LIST_PAGE = 1000;
+const BACKFILL_BATCH = 100;
+
+// ============================================================================
+// Clients
+// ============================================================================
+
+async function callTool(name, args) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (authToken) {
+    headers['Authorization'] = `Bearer ${authToken}`;
+  }
+  
+  const response = await fetch(UNIFIED_MIND_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name, arguments: args },
+      id: Date.now()
+    })
+  });
+  
+  const result = await response.json();
+  if (result.error) {
+    throw new Error(result.error.message);
+  }
+  if (result.result.isError) {
+    throw new Error(result.result.content[0].text);
+  }
+  return JSON.parse(result.result.content[0].text);
+}
+
+/**
+ * One page of vector ids from the Vectorize list API. The Worker binding
+ * can't list vectors, so this goes through the Cloudflare API directly.
+ */
+async function listVectorIds(index, cursor) {
+  const { CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN } = process.env;
+  const params = new URLSearchParams({ count: String(LIST_PAGE) });
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+  
+  const response = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${CLOUDFLARE_ACCOUNT_ID}/vectorize/v2/indexes/${index}/list?${params}`,
+    { headers: { 'Authorization': `Bearer ${CLOUDFLARE_API_TOKEN}` } }
+  );
+  const body = await response.json();
+  if (!body.success) {
+    throw new Error(`Listing vectors failed: ${(body.errors || []).map(e => e.message).join('; ') || response.status}`);
+  }
+  return body.result;
+}
+
+// ============================================================================
+// Backfill
+// ============================================================================
+
+async function backfill({ index, cursor, dryRun }) {
+  const totals = { checked: 0, backfilled: 0, already_indexed: 0 };
+  
+  do {
+    const page = await listVectorIds(index, cursor);
+    const ids = page.vectors.map(v => v.id);
+    
+    for (let i = 0; i < ids.length; i += BACKFILL_BATCH) {
+      const result = await callTool('backfill_index', { ids: ids.slice(i, i + BACKFILL_BATCH), dry_run: dryRun });
+      for (const key of Object.keys(totals)) {
+        totals[key] += result[key];
+      }
+    }
+    
+    cursor = page.isTruncated ? page.nextCursor : null;
+    console.log(`  Checked ${totals.checked} of ${page.totalCount}, ${totals.backfilled} backfilled` +
+      (cursor ? ` (resume with --cursor ${cursor})` : ''));
+  } while (cursor);
+  
+  console.log(`\n${dryRun ? 'Would backfill' : 'Backfilled'} ${totals.backfilled} memories ` +
+    `(${totals.already_indexed} already indexed)`);
+  if (!dryRun && totals.backfilled > 0) {
+    console.log('Run recompute_stats to count them in stats.');
+  }
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+async function main() {
+  const args = process.argv.slice(2);
+  
+  if (args.includes('--help')) {
+    console.log(`
+Unified Mind Index Backfill CLI
+
+Usage:
+  node backfill-index.js [--index <name>] [--cursor <cursor>] [--dry-run]
+
+Options:
+  --index <name>     Vectorize index (default: VECTORIZE_INDEX or unified-mind-index)
+  --cursor <cursor>  Resume listing from a cursor printed by an earlier run
+  --dry-run          Report what would be backfilled
+  --url <url>        Override unified-mind URL
+  --token <token>    Admin bearer token (or set UNIFIED_MIND_TOKEN)
+
+Environment:
+  CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN   Account and API token with Vectorize read access
+
+Examples:
+  node backfill-index.js --dry-run --url https://unified-mind.example.workers.dev/mcp
+`);
+    return;
+  }
+  
+  const getArg = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : null;
+  };
+  
+  if (getArg('--url')) {
+    UNIFIED_MIND_URL = getArg('--url');
+  }
+  if (getArg('--token')) {
+    authToken = getArg('--token');
+  }
+  if (!process.env.CLOUDFLARE_ACCOUNT_ID || !process.env.CLOUDFLARE_API_TOKEN) {
+    console.error('Error: set CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN');
+    process.exit(1);
+  }
+  
+  await backfill({
+    index: getArg('--index') || process.env.VECTORIZE_INDEX || 'unified-mind-index',
+    cursor: getArg('--cursor'),
+    dryRun: args.includes('--dry-run')
+  });
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
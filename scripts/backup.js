@@ -0,0 +1,182 @@
+/**
+ * Unified Mind Backup CLI
+ * Export memories to a JSONL archive and restore them
+ *
+ * Usage:
+ *   node backup.js export --entity mind-1 --out mind-1.jsonl --vectors
+ *   node backup.js import --in mind-1.jsonl
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+// Configuration
+let UNIFIED_MIND_URL = process.env.UNIFIED_MIND_URL || 'http://localhost:8787/mcp';
+let authToken = process.env.UNIFIED_MIND_TOKEN || null;
+const EXPORT_PAGE = 200;
+const IMPORT_BATCH = 50;
+
+// ============================================================================
+// MCP Client
+// ============================================================================
+
+async function callTool(name, args) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (authToken) {
+    headers['Authorization'] = `Bearer ${authToken}`;
+  }
+  
+  const response = await fetch(UNIFIED_MIND_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name, arguments: args },
+      id: Date.now()
+    })
+  });
+  
+  const result = await response.json();
+  if (result.error) {
+    throw new Error(result.error.message);
+  }
+  if (result.result.isError) {
+    throw new Error(result.result.content[0].text);
+  }
+  return JSON.parse(result.result.content[0].text);
+}
+
+// ============================================================================
+// Export / Import
+// ============================================================================
+
+async function exportMemories({ entity, out, vectors }) {
+  const stream = out ? fs.createWriteStream(out) : process.stdout;
+  const log = out ? console.log : console.error;
+  let cursor;
+  let exported = 0;
+  
+  do {
+    const page = await callTool('export', {
+      entity_name: entity || undefined,
+      include_vectors: vectors,
+      limit: EXPORT_PAGE,
+      cursor
+    });
+    if (page.jsonl) {
+      stream.write(page.jsonl + '\n');
+    }
+    exported += page.count;
+    log(`  Exported ${exported}`);
+    cursor = page.next_cursor;
+  } while (cursor);
+  
+  if (out) {
+    await new Promise(resolve => stream.end(resolve));
+  }
+  log(`\nExported ${exported} memories${out ? ` to ${out}` : ''}`);
+}
+
+async function importMemories({ input, reembed, dryRun }) {
+  const lines = readline.createInterface({ input: fs.createReadStream(input), crlfDelay: Infinity });
+  const totals = { imported: 0, skipped_existing: 0, reembedded: 0 };
+  let batch = [];
+  
+  const flush = async () => {
+    if (batch.length === 0) {
+      return;
+    }
+    const result = await callTool('import', { records: batch, reembed, dry_run: dryRun });
+    for (const key of Object.keys(totals)) {
+      totals[key] += result[key];
+    }
+    console.log(`  Imported ${totals.imported}, skipped ${totals.skipped_existing} existing`);
+    batch = [];
+  };
+  
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    const record = JSON.parse(line);
+    if (record.type === 'header') {
+      console.log(`Archive: ${record.entity} exported ${record.exported_at} (${record.embedding_model})`);
+      continue;
+    }
+    batch.push(record);
+    if (batch.length >= IMPORT_BATCH) {
+      await flush();
+    }
+  }
+  await flush();
+  
+  console.log(`\n${dryRun ? 'Would import' : 'Imported'} ${totals.imported} memories ` +
+    `(${totals.reembedded} re-embedded, ${totals.skipped_existing} already present)`);
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  
+  if (args.includes('--help') || (command !== 'export' && command !== 'import')) {
+    console.log(`
+Unified Mind Backup CLI
+
+Usage:
+  node backup.js export [--entity <name>] [--out <file>] [--vectors]
+  node backup.js import --in <file> [--reembed] [--dry-run]
+
+Options:
+  --entity <name>    Only export this entity (default: all entities)
+  --out <file>       Write the archive here (default: stdout)
+  --vectors          Include embedding values, so a restore with the same model needs no re-embedding
+  --in <file>        Archive to restore
+  --reembed          Re-embed every memory even if the archive has vectors
+  --dry-run          Report what would be imported
+  --url <url>        Override unified-mind URL
+  --token <token>    Bearer token (or set UNIFIED_MIND_TOKEN)
+
+Examples:
+  node backup.js export --entity mind-1 --out mind-1.jsonl --vectors
+  node backup.js import --in mind-1.jsonl --url https://new-account.workers.dev/mcp
+`);
+    return;
+  }
+  
+  const getArg = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : null;
+  };
+  
+  if (getArg('--url')) {
+    UNIFIED_MIND_URL = getArg('--url');
+  }
+  if (getArg('--token')) {
+    authToken = getArg('--token');
+  }
+  
+  if (command === 'export') {
+    await exportMemories({
+      entity: getArg('--entity'),
+      out: getArg('--out'),
+      vectors: args.includes('--vectors')
+    });
+  } else {
+    const input = getArg('--in');
+    if (!input) {
+      console.error('Error: --in is required');
+      process.exit(1);
+    }
+    await importMemories({ input, reembed: args.includes('--reembed'), dryRun: args.includes('--dry-run') });
+  }
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -4,16 +4,58 @@
  * 
  * Usage:
  *   node ingest.js --file <path> --entity mind-1 --type conversation --platform claude
- *   node ingest.js --dir <path> --entity mind-2 --type conversation --platform gemini
+ *   node ingest.js --dir <path> --entity mind-2 --type conversation --platform gemini --token <token>
+ *   node ingest.js --dir <path> --entity mind-2 --resume --concurrency 8
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 
 // Configuration
-const UNIFIED_MIND_URL = process.env.UNIFIED_MIND_URL || 'http://localhost:8787/mcp';
-const CHUNK_SIZE = 1500;
-const CHUNK_OVERLAP = 200;
+let UNIFIED_MIND_URL = process.env.UNIFIED_MIND_URL || 'http://localhost:8787/mcp';
+let authToken = process.env.UNIFIED_MIND_TOKEN || null;
+let config = {};
+
+// Token counting and chunking are shared with the Worker; src/chunking.js is
+// an ES module, so it is imported in main()
+let chunkContent, countTokens, parseTurns;
+
+// ============================================================================
+// Config
+// ============================================================================
+
+// config.json (see config.example.json) lists the allowed entities, platforms
+// and memory types, and maps platforms to the entity they belong to.
+async function loadConfig(configPath, required) {
+  try {
+    return JSON.parse(await fs.readFile(configPath, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT' && !required) {
+      return {};
+    }
+    throw new Error(`Cannot read config ${configPath}: ${e.message}`);
+  }
+}
+
+function checkConfigured(value, list, label) {
+  if (value && config[list] && !config[list].includes(value)) {
+    throw new Error(`Unknown ${label} "${value}" (config.json ${list}: ${config[list].join(', ')})`);
+  }
+}
+
+/**
+ * --entity if given, else the entity mapped to the platform, else defaultEntity.
+ */
+function resolveEntity(entity, platform) {
+  const resolved = entity || config.platformToEntityMap?.[platform] || config.defaultEntity;
+  if (!resolved) {
+    throw new Error(`No entity for platform "${platform}" - pass --entity or add it to platformToEntityMap in config.json`);
+  }
+  checkConfigured(resolved, 'entities', 'entity');
+  return resolved;
+}
 
 // ============================================================================
 // File Parsers
@@ -31,9 +73,26 @@ async function parseMarkdown(filePath) {
   };
 }
 
-async function parseJSON(filePath) {
-  const content = await fs.readFile(filePath, 'utf-8');
-  const data = JSON.parse(content);
+async function parseJSON(filePath, format = 'auto') {
+  const data = path.extname(filePath).toLowerCase() === '.zip'
+    ? JSON.parse(readZipEntry(await fs.readFile(filePath), 'conversations.json').toString('utf-8'))
+    : JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  
+  if (format === 'auto') {
+    format = detectFormat(data);
+  }
+  
+  if (format !== 'generic') {
+    const importer = IMPORTERS[format];
+    if (!importer) {
+      throw new Error(`Unknown format: ${format} (expected auto, generic, ${Object.keys(IMPORTERS).join(', ')})`);
+    }
+    return {
+      type: 'conversations',
+      conversations: importer.parse(data).filter(c => c.messages.length > 0),
+      metadata: { filename: path.basename(filePath), format, platform: importer.platform }
+    };
+  }
   
   if (Array.isArray(data)) {
     return {
@@ -63,199 +122,536 @@ async function parseJSON(filePath) {
 }
 
 // ============================================================================
-// Chunking
+// Export Importers
 // ============================================================================
 
-function chunkText(text, maxChars = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
-  if (text.length <= maxChars) {
-    return [text];
+// Each importer turns a platform export into
+//   [{ id, title, created_at, messages: [{ speaker, content, timestamp }] }]
+// which is ingested like the generic { conversations: [...] } format.
+
+function toISO(value) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function stripHtml(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|pre|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Exports without conversations (Gemini activity, Discord channels) are
+// split into one conversation per UTC day
+function groupByDay(messages, idPrefix, titlePrefix) {
+  const days = new Map();
+  for (const message of messages) {
+    const day = (message.timestamp || 'undated').slice(0, 10);
+    if (!days.has(day)) {
+      days.set(day, []);
+    }
+    days.get(day).push(message);
   }
   
-  const chunks = [];
-  let start = 0;
+  return [...days].map(([day, dayMessages]) => ({
+    id: `${idPrefix}:${day}`,
+    title: `${titlePrefix} ${day}`,
+    created_at: dayMessages[0].timestamp,
+    messages: dayMessages
+  }));
+}
+
+/**
+ * ChatGPT conversations.json: messages form a tree under `mapping`; the
+ * conversation shown in the UI is the path from `current_node` to the root.
+ */
+function parseChatGPT(data) {
+  return data.map(conv => {
+    const mapping = conv.mapping || {};
+    const branch = [];
+    let nodeId = conv.current_node;
+    
+    while (nodeId && mapping[nodeId]) {
+      branch.unshift(mapping[nodeId]);
+      nodeId = mapping[nodeId].parent;
+    }
+    
+    const messages = [];
+    for (const node of branch) {
+      const message = node.message;
+      const role = message?.author?.role;
+      if (!message || (role !== 'user' && role !== 'assistant')) {
+        continue;
+      }
+      if (message.metadata?.is_visually_hidden_from_conversation) {
+        continue;
+      }
+      
+      const body = message.content || {};
+      const content = (body.content_type === 'code' ? [body.text] : body.parts || [])
+        .filter(part => typeof part === 'string')
+        .join('\n')
+        .trim();
+      if (!content) {
+        continue;
+      }
+      
+      messages.push({
+        speaker: role === 'user' ? 'User' : 'ChatGPT',
+        content,
+        timestamp: toISO(message.create_time)
+      });
+    }
+    
+    return {
+      id: conv.conversation_id || conv.id,
+      title: conv.title,
+      created_at: toISO(conv.create_time),
+      messages
+    };
+  });
+}
+
+/**
+ * Claude export (conversations.json, also inside the export zip).
+ */
+function parseClaude(data) {
+  return data.map(conv => ({
+    id: conv.uuid,
+    title: conv.name,
+    created_at: toISO(conv.created_at),
+    messages: (conv.chat_messages || [])
+      .map(message => ({
+        speaker: message.sender === 'human' ? 'Human' : 'Claude',
+        content: (Array.isArray(message.content) && message.content.length > 0
+          ? message.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+          : message.text || ''
+        ).trim(),
+        timestamp: toISO(message.created_at)
+      }))
+      .filter(message => message.content)
+  }));
+}
+
+/**
+ * Google Takeout "My Activity/Gemini Apps/MyActivity.json": one entry per
+ * prompt, newest first, with the response as HTML.
+ */
+function parseGemini(data) {
+  const messages = [];
   
-  while (start < text.length) {
-    let end = start + maxChars;
+  for (const entry of [...data].sort((a, b) => String(a.time).localeCompare(String(b.time)))) {
+    const timestamp = toISO(entry.time);
+    const prompt = String(entry.title || '').replace(/^Prompted\s+/, '').trim();
+    const response = (entry.safeHtmlItem || []).map(item => stripHtml(item.html || '')).join('\n\n').trim();
     
-    if (end < text.length) {
-      const slice = text.slice(start, end);
-      const lastBreak = Math.max(
-        slice.lastIndexOf('\n\n'),
-        slice.lastIndexOf('. '),
-        slice.lastIndexOf('? '),
-        slice.lastIndexOf('! ')
-      );
-      if (lastBreak > maxChars * 0.5) {
-        end = start + lastBreak + 1;
+    if (prompt) {
+      messages.push({ speaker: 'User', content: prompt, timestamp });
+    }
+    if (response) {
+      messages.push({ speaker: 'Gemini', content: response, timestamp });
+    }
+  }
+  
+  return groupByDay(messages, 'gemini', 'Gemini activity');
+}
+
+/**
+ * DiscordChatExporter JSON: one channel per file.
+ */
+function parseDiscord(data) {
+  const messages = (data.messages || [])
+    .map(message => {
+      const attachments = (message.attachments || []).map(a => `[attachment: ${a.fileName || a.url}]`);
+      return {
+        speaker: message.author?.nickname || message.author?.name || 'unknown',
+        content: [message.content || '', ...attachments].join('\n').trim(),
+        timestamp: toISO(message.timestamp)
+      };
+    })
+    .filter(message => message.content);
+  
+  const channel = data.channel || {};
+  const title = [data.guild?.name, channel.name && `#${channel.name}`].filter(Boolean).join(' ');
+  return groupByDay(messages, `discord:${channel.id || 'channel'}`, title || 'Discord');
+}
+
+const IMPORTERS = {
+  chatgpt: { parse: parseChatGPT, platform: 'gpt' },
+  claude: { parse: parseClaude, platform: 'claude' },
+  gemini: { parse: parseGemini, platform: 'gemini' },
+  discord: { parse: parseDiscord, platform: 'discord' }
+};
+
+function detectFormat(data) {
+  if (Array.isArray(data)) {
+    const first = data.find(item => item && typeof item === 'object') || {};
+    if (first.mapping) {
+      return 'chatgpt';
+    }
+    if (first.chat_messages) {
+      return 'claude';
+    }
+    if (first.time && (first.header === 'Gemini Apps' || (first.products || []).some(p => /Gemini|Bard/.test(p)))) {
+      return 'gemini';
+    }
+  } else if (data && data.guild && data.channel && Array.isArray(data.messages)) {
+    return 'discord';
+  }
+  return 'generic';
+}
+
+/**
+ * Read one file out of a zip archive (stored or deflated entries, no zip64),
+ * matched by file name anywhere in the archive.
+ */
+function readZipEntry(buffer, name) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Not a zip archive');
+  }
+  
+  const entries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  
+  for (let i = 0; i < entries; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const entryName = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    
+    if (path.posix.basename(entryName) === name) {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        return data;
+      }
+      if (method === 8) {
+        return zlib.inflateRawSync(data);
       }
+      throw new Error(`Unsupported zip compression method ${method} for ${entryName}`);
     }
     
-    chunks.push(text.slice(start, end).trim());
-    start = end - overlap;
+    offset += 46 + nameLength + extraLength + commentLength;
   }
   
-  return chunks;
+  throw new Error(`${name} not found in zip archive`);
 }
 
 // ============================================================================
 // MCP Client
 // ============================================================================
 
+const MAX_RETRIES = 5;
+const RETRY_BASE_MS = 1000;
+
+class RequestError extends Error {
+  constructor(message, retryable = false, retryAfterMs = null) {
+    super(message);
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
 async function callMCP(method, params) {
-  const response = await fetch(UNIFIED_MIND_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      method,
-      params,
-      id: Date.now()
-    })
-  });
+  const headers = { 'Content-Type': 'application/json' };
+  if (authToken) {
+    headers['Authorization'] = `Bearer ${authToken}`;
+  }
+  
+  let response;
+  try {
+    response = await fetch(UNIFIED_MIND_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        method,
+        params,
+        id: Date.now()
+      })
+    });
+  } catch (e) {
+    throw new RequestError(`Network error: ${e.message}`, true);
+  }
+  
+  if (response.status === 429 || response.status >= 500) {
+    const retryAfter = parseFloat(response.headers.get('Retry-After'));
+    throw new RequestError(`HTTP ${response.status}`, true, isNaN(retryAfter) ? null : retryAfter * 1000);
+  }
   
   const result = await response.json();
   if (result.error) {
-    throw new Error(result.error.message);
+    throw new RequestError(result.error.message);
+  }
+  if (result.result?.isError) {
+    throw new RequestError(result.result.content[0].text);
   }
   return result.result;
 }
 
-async function ingestChunk(content, entity, platform, type, metadata = {}) {
-  return await callMCP('tools/call', {
+/**
+ * Retry rate limits, server errors and network failures with exponential
+ * backoff and jitter (or the server's Retry-After).
+ */
+async function withRetry(fn) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (!e.retryable || attempt >= MAX_RETRIES) {
+        throw e;
+      }
+      const delay = e.retryAfterMs ?? RETRY_BASE_MS * 2 ** attempt * (0.5 + Math.random());
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Server-side chunks created vs. skipped as duplicates, across the whole run
+const dedupTotals = { created: 0, skipped: 0 };
+
+// Chunks sent in separate calls share a parent_id so the Worker can link
+// them back into one document
+function documentId(entity, ...parts) {
+  return 'doc_' + crypto.createHash('sha256').update([entity, ...parts].join(':')).digest('hex').slice(0, 16);
+}
+
+async function ingestChunk(job) {
+  const result = await withRetry(() => callMCP('tools/call', {
     name: 'ingest',
     arguments: {
-      content,
-      entity_name: entity,
-      source_platform: platform,
-      memory_type: type,
-      metadata
+      content: job.content,
+      entity_name: job.entity_name,
+      source_platform: job.source_platform,
+      memory_type: job.memory_type,
+      parent_id: job.parent_id,
+      metadata: job.metadata
     }
-  });
+  }));
+  
+  const summary = JSON.parse(result.content[0].text);
+  dedupTotals.created += summary.chunks_created || 0;
+  dedupTotals.skipped += summary.chunks_skipped || 0;
+  return summary;
 }
 
 // ============================================================================
-// Processing Functions
+// Manifest & Failures
 // ============================================================================
 
-async function processMarkdownFile(filePath, entity, platform, type) {
-  console.log(`Processing markdown: ${filePath}`);
-  
-  const parsed = await parseMarkdown(filePath);
-  const chunks = chunkText(parsed.content);
-  
-  console.log(`  Chunks: ${chunks.length}`);
-  
-  let successCount = 0;
-  for (let i = 0; i < chunks.length; i++) {
+// The manifest records every chunk the server has accepted, keyed by entity
+// and chunk hash, so --resume can pick up an interrupted import.
+const MANIFEST_SAVE_EVERY = 50;
+
+function chunkKey(entity, content) {
+  return `${entity}:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+async function loadManifest(manifestPath, resume) {
+  if (resume) {
     try {
-      await ingestChunk(chunks[i], entity, platform, type, {
-        source_file: filePath,
-        chunk_index: i,
-        total_chunks: chunks.length
-      });
-      successCount++;
-      process.stdout.write('.');
+      return JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
     } catch (e) {
-      console.error(`  Error on chunk ${i}: ${e.message}`);
+      if (e.code !== 'ENOENT') {
+        throw new Error(`Cannot read manifest ${manifestPath}: ${e.message}`);
+      }
     }
   }
-  
-  console.log(`\n  Ingested: ${successCount}/${chunks.length}`);
-  return successCount;
+  return { version: 1, url: UNIFIED_MIND_URL, started_at: new Date().toISOString(), chunks: {} };
 }
 
-async function processJSONFile(filePath, entity, platform, type) {
-  console.log(`Processing JSON: ${filePath}`);
+async function saveManifest(manifest, manifestPath) {
+  manifest.updated_at = new Date().toISOString();
+  await fs.writeFile(manifestPath + '.tmp', JSON.stringify(manifest));
+  await fs.rename(manifestPath + '.tmp', manifestPath);
+}
+
+// Failed chunks are written one JSON object per line, in the same shape as
+// the jobs below, so the file can be fed back with --retry-failures.
+async function loadFailures(failuresPath) {
+  const content = await fs.readFile(failuresPath, 'utf-8');
+  return content.split('\n').filter(line => line.trim()).map(line => {
+    const { error, ...job } = JSON.parse(line);
+    return job;
+  });
+}
+
+// ============================================================================
+// Processing Functions
+// ============================================================================
+
+// Files are first turned into jobs - one ingest call each - which are then
+// run with bounded concurrency.
+function makeJob(file, content, entity, platform, type, metadata, parentId) {
+  return {
+    file,
+    content,
+    entity_name: entity,
+    source_platform: platform,
+    memory_type: type,
+    metadata,
+    parent_id: parentId
+  };
+}
+
+async function planMarkdownFile(filePath, entity, platform, type) {
+  platform = platform || 'file';
+  entity = resolveEntity(entity, platform);
+  
+  const parsed = await parseMarkdown(filePath);
+  const chunks = chunkContent(parsed.content, { memoryType: type });
+  const parentId = documentId(entity, filePath);
   
-  const parsed = await parseJSON(filePath);
-  let successCount = 0;
+  return chunks.map((chunk, i) => makeJob(filePath, chunk.text, entity, platform, type, {
+    source_file: filePath,
+    chunk_index: i,
+    total_chunks: chunks.length,
+    ...(chunk.section_path ? { section_path: chunk.section_path } : {})
+  }, parentId));
+}
+
+async function planJSONFile(filePath, entity, platform, type, format = 'auto') {
+  const parsed = await parseJSON(filePath, format);
+  platform = platform || parsed.metadata.platform || 'file';
+  checkConfigured(platform, 'platforms', 'platform');
+  entity = resolveEntity(entity, platform);
+  const jobs = [];
   
   if (parsed.type === 'chat-export' && parsed.messages) {
-    console.log(`  Messages: ${parsed.messages.length}`);
-    
     for (const msg of parsed.messages) {
       const content = `[${msg.role || msg.author || 'unknown'}]: ${msg.content || msg.text || ''}`;
-      const chunks = chunkText(content);
-      
-      for (const chunk of chunks) {
-        try {
-          await ingestChunk(chunk, entity, platform, type, {
-            source_file: filePath,
-            message_id: msg.id,
-            timestamp: msg.timestamp || msg.created_at
-          });
-          successCount++;
-        } catch (e) {
-          console.error(`  Error: ${e.message}`);
-        }
+      for (const chunk of chunkContent(content, { strategy: 'text' })) {
+        jobs.push(makeJob(filePath, chunk.text, entity, platform, type, {
+          source_file: filePath,
+          message_id: msg.id,
+          timestamp: msg.timestamp || msg.created_at
+        }));
       }
-      process.stdout.write('.');
     }
   } else if (parsed.type === 'conversations' && parsed.conversations) {
-    console.log(`  Conversations: ${parsed.conversations.length}`);
-    
     for (const conv of parsed.conversations) {
-      const convText = (conv.messages || []).map(m => 
-        `[${m.role || m.author || 'unknown'}]: ${m.content || m.text || ''}`
-      ).join('\n\n');
+      const messages = conv.messages || [];
+      const turnTexts = messages.map(m =>
+        `[${m.speaker || m.role || m.author || 'unknown'}]: ${m.content || m.text || ''}`
+      );
+      const convText = turnTexts.join('\n\n');
       
-      const chunks = chunkText(convText);
-      for (const chunk of chunks) {
-        try {
-          await ingestChunk(chunk, entity, platform, type, {
-            source_file: filePath,
-            conversation_id: conv.id,
-            conversation_title: conv.title
-          });
-          successCount++;
-        } catch (e) {
-          console.error(`  Error: ${e.message}`);
-        }
-      }
-      process.stdout.write('.');
+      // A message can parse as several turns (a line like "Note: ..." starts
+      // one), so map each parsed turn back to the message it came from
+      const turnMessage = turnTexts.flatMap((text, i) => parseTurns(text).map(() => i));
+      
+      const chunks = chunkContent(convText, { memoryType: type });
+      const parentId = documentId(entity, filePath, conv.id);
+      chunks.forEach((chunk, i) => {
+        const message = messages[turnMessage[chunk.first_turn ?? 0]];
+        const timestamp = message?.timestamp || message?.created_at || conv.created_at;
+        jobs.push(makeJob(filePath, chunk.text, entity, platform, type, {
+          source_file: filePath,
+          conversation_id: conv.id,
+          conversation_title: conv.title,
+          ...(timestamp ? { timestamp } : {}),
+          chunk_index: i,
+          total_chunks: chunks.length,
+          ...(chunk.section_path ? { section_path: chunk.section_path } : {})
+        }, parentId));
+      });
     }
   } else {
-    const chunks = chunkText(parsed.content || JSON.stringify(parsed));
-    for (const chunk of chunks) {
-      try {
-        await ingestChunk(chunk, entity, platform, type, {
-          source_file: filePath
-        });
-        successCount++;
-      } catch (e) {
-        console.error(`  Error: ${e.message}`);
-      }
-    }
+    const chunks = chunkContent(parsed.content || JSON.stringify(parsed), { strategy: 'text' });
+    const parentId = documentId(entity, filePath);
+    chunks.forEach((chunk, i) => jobs.push(makeJob(filePath, chunk.text, entity, platform, type, {
+      source_file: filePath,
+      chunk_index: i,
+      total_chunks: chunks.length
+    }, parentId)));
   }
   
-  console.log(`\n  Ingested: ${successCount} chunks`);
-  return successCount;
+  return jobs;
 }
 
-async function processDirectory(dirPath, entity, platform, type, extensions = ['.md', '.json', '.txt']) {
-  console.log(`\nProcessing directory: ${dirPath}`);
-  console.log(`  Entity: ${entity}, Platform: ${platform}, Type: ${type}`);
+async function planFile(filePath, entity, platform, type, format) {
+  const ext = path.extname(filePath).toLowerCase();
   
+  if (ext === '.md' || ext === '.txt') {
+    return await planMarkdownFile(filePath, entity, platform, type);
+  } else if (ext === '.json' || ext === '.zip') {
+    return await planJSONFile(filePath, entity, platform, type, format);
+  }
+  throw new Error(`Unsupported file type: ${ext}`);
+}
+
+async function listFiles(dirPath, extensions = ['.md', '.json', '.txt', '.zip']) {
   const files = await fs.readdir(dirPath, { withFileTypes: true, recursive: true });
-  const matchingFiles = files
+  return files
     .filter(f => f.isFile() && extensions.some(ext => f.name.endsWith(ext)))
-    .map(f => path.join(f.path || dirPath, f.name));
+    .map(f => path.join(f.parentPath ?? f.path, f.name));
+}
+
+/**
+ * Run ingest jobs with at most `concurrency` requests in flight, skipping
+ * chunks the manifest already has and appending failures to failuresPath.
+ */
+async function runJobs(jobs, { concurrency, manifest, manifestPath, failuresPath }) {
+  const pending = jobs.filter(job => !manifest.chunks[chunkKey(job.entity_name, job.content)]);
+  const progress = { done: 0, failed: 0, resumed: jobs.length - pending.length };
+  let sinceSave = 0;
   
-  console.log(`  Found ${matchingFiles.length} files`);
+  const report = () => {
+    process.stdout.write(`\r  ${progress.done + progress.failed}/${pending.length} sent, ` +
+      `${progress.failed} failed, ${progress.resumed} already in manifest`);
+  };
   
-  let totalChunks = 0;
-  for (const filePath of matchingFiles) {
-    const ext = path.extname(filePath).toLowerCase();
-    
-    if (ext === '.md' || ext === '.txt') {
-      totalChunks += await processMarkdownFile(filePath, entity, platform, type);
-    } else if (ext === '.json') {
-      totalChunks += await processJSONFile(filePath, entity, platform, type);
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length) {
+      const job = pending[next++];
+      try {
+        await ingestChunk(job);
+        manifest.chunks[chunkKey(job.entity_name, job.content)] = { file: job.file, at: new Date().toISOString() };
+        progress.done++;
+        if (++sinceSave >= MANIFEST_SAVE_EVERY) {
+          sinceSave = 0;
+          await saveManifest(manifest, manifestPath);
+        }
+      } catch (e) {
+        progress.failed++;
+        await fs.appendFile(failuresPath, JSON.stringify({ ...job, error: e.message }) + '\n');
+      }
+      report();
     }
-  }
+  };
+  
+  report();
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+  await saveManifest(manifest, manifestPath);
+  console.log('');
   
-  console.log(`\nTotal chunks ingested: ${totalChunks}`);
-  return totalChunks;
+  return progress;
 }
 
 // ============================================================================
@@ -272,22 +668,38 @@ Unified Mind Ingest CLI
 Usage:
   node ingest.js --file <path> --entity <name> --type <type> --platform <platform>
   node ingest.js --dir <path> --entity <name> --type <type> --platform <platform>
+  node ingest.js --retry-failures <path>
 
 Options:
   --file <path>      Single file to ingest
   --dir <path>       Directory to ingest (recursive)
-  --entity <name>    Entity namespace
+  --entity <name>    Entity namespace (default: platformToEntityMap / defaultEntity from config.json)
   --type <type>      Memory type (conversation, document, note, reflection, journal)
   --platform <name>  Source platform (claude, gpt, gemini, mistral, discord, etc.)
+                     Defaults to the export's platform, or "file"
+  --format <name>    JSON export format: auto (default), chatgpt, claude, gemini, discord, generic
   --url <url>        Override unified-mind URL
+  --token <token>    Bearer token (or set UNIFIED_MIND_TOKEN)
+  --config <path>    Config file (default config.json, optional)
+  --concurrency <n>  Ingest requests in flight (default 4)
+  --manifest <path>  Manifest of ingested chunks (default .unified-mind-manifest.json)
+  --resume           Skip chunks already recorded in the manifest
+  --failures <path>  Where failed chunks are written (default ingest-failures.jsonl)
+  --retry-failures <path>  Re-send the chunks from a failures file
+  --dry-run          Show chunk counts and estimated embeddings without sending anything
 
 Examples:
   node ingest.js --file "chat.md" --entity mind-1 --type conversation --platform claude
   node ingest.js --dir ./transcripts --entity mind-2 --type conversation --platform gemini
+  node ingest.js --file claude-export.zip --type conversation
+  node ingest.js --file MyActivity.json --entity mind-2 --type conversation --format gemini
+  node ingest.js --dir ./exports --entity mind-1 --resume --concurrency 8
 `);
     return;
   }
   
+  ({ chunkContent, countTokens, parseTurns } = await import('../src/chunking.js'));
+  
   const getArg = (flag) => {
     const idx = args.indexOf(flag);
     return idx >= 0 && args[idx + 1] ? args[idx + 1] : null;
@@ -297,34 +709,99 @@ Examples:
   const dir = getArg('--dir');
   const entity = getArg('--entity');
   const type = getArg('--type') || 'conversation';
-  const platform = getArg('--platform') || 'file';
+  const platform = getArg('--platform');
+  const format = getArg('--format') || 'auto';
+  const retryFailures = getArg('--retry-failures');
+  const concurrency = Math.max(1, parseInt(getArg('--concurrency')) || 4);
+  const manifestPath = getArg('--manifest') || '.unified-mind-manifest.json';
+  const failuresPath = getArg('--failures') || 'ingest-failures.jsonl';
+  const resume = args.includes('--resume');
+  const dryRun = args.includes('--dry-run');
   
   if (getArg('--url')) {
-    process.env.UNIFIED_MIND_URL = getArg('--url');
+    UNIFIED_MIND_URL = getArg('--url');
   }
   
-  if (!entity) {
-    console.error('Error: --entity is required');
-    process.exit(1);
+  if (getArg('--token')) {
+    authToken = getArg('--token');
   }
   
-  if (file) {
-    const ext = path.extname(file).toLowerCase();
-    if (ext === '.md' || ext === '.txt') {
-      await processMarkdownFile(file, entity, platform, type);
-    } else if (ext === '.json') {
-      await processJSONFile(file, entity, platform, type);
-    } else {
-      console.error(`Unsupported file type: ${ext}`);
+  config = await loadConfig(getArg('--config') || 'config.json', !!getArg('--config'));
+  checkConfigured(platform, 'platforms', 'platform');
+  checkConfigured(type, 'memoryTypes', 'memory type');
+  
+  let jobs = [];
+  const chunksPerFile = new Map();
+  
+  if (retryFailures) {
+    jobs = await loadFailures(retryFailures);
+    if (path.resolve(retryFailures) === path.resolve(failuresPath)) {
+      await fs.rename(retryFailures, retryFailures + '.retrying');
     }
-  } else if (dir) {
-    await processDirectory(dir, entity, platform, type);
   } else {
-    console.error('Error: --file or --dir is required');
-    process.exit(1);
+    if (entity) {
+      checkConfigured(entity, 'entities', 'entity');
+    }
+    
+    let files;
+    if (file) {
+      files = [file];
+    } else if (dir) {
+      files = await listFiles(dir);
+      console.log(`Found ${files.length} files in ${dir}`);
+    } else {
+      console.error('Error: --file or --dir is required');
+      process.exit(1);
+    }
+    
+    for (const filePath of files) {
+      try {
+        const fileJobs = await planFile(filePath, entity, platform, type, format);
+        chunksPerFile.set(filePath, fileJobs.length);
+        jobs.push(...fileJobs);
+      } catch (e) {
+        console.error(`Skipping ${filePath}: ${e.message}`);
+      }
+    }
+  }
+  
+  const manifest = await loadManifest(manifestPath, resume || !!retryFailures);
+  
+  if (dryRun) {
+    for (const [filePath, count] of chunksPerFile) {
+      console.log(`  ${filePath}: ${count} chunks`);
+    }
+    const pending = jobs.filter(job => !manifest.chunks[chunkKey(job.entity_name, job.content)]);
+    const tokens = pending.reduce((sum, job) => sum + countTokens(job.content), 0);
+    console.log(`\nChunks: ${jobs.length} (${jobs.length - pending.length} already in manifest)`);
+    console.log(`Estimated embeddings: ${pending.length} (~${tokens} tokens)`);
+    console.log('Dry run - nothing was sent');
+    return;
   }
   
+  // Keep what has been sent so far if the run is interrupted
+  process.on('SIGINT', async () => {
+    await saveManifest(manifest, manifestPath);
+    console.log(`\nInterrupted - rerun with --resume to continue (manifest: ${manifestPath})`);
+    process.exit(130);
+  });
+  
+  console.log(`Ingesting ${jobs.length} chunks to ${UNIFIED_MIND_URL} (concurrency ${concurrency})`);
+  const progress = await runJobs(jobs, { concurrency, manifest, manifestPath, failuresPath });
+  
+  if (retryFailures && path.resolve(retryFailures) === path.resolve(failuresPath)) {
+    await fs.unlink(retryFailures + '.retrying');
+  }
+  
+  console.log(`\nMemories created: ${dedupTotals.created}, skipped as duplicates: ${dedupTotals.skipped}`);
+  if (progress.failed > 0) {
+    console.log(`Failed chunks: ${progress.failed} - rerun with --retry-failures ${failuresPath}`);
+    process.exitCode = 1;
+  }
   console.log('\nDone!');
 }
 
-main().catch(console.error);
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
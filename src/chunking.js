@@ -0,0 +1,389 @@
+/**
+ * Unified Mind chunking
+ * Token counting and chunking strategies, shared by the Worker (src/index.js)
+ * and the ingest CLI (scripts/ingest.js) so both split content the same way
+ */
+
+import WORDPIECE_VOCAB from './wordpiece-vocab.js';
+
+// ============================================================================
+// Token Counting
+// ============================================================================
+
+const VOCAB = new Set(WORDPIECE_VOCAB.split('\n'));
+
+// Longer words become a single [UNK], as in BERT
+const MAX_WORD_CHARS = 100;
+
+// [CLS] and [SEP], which the model adds around every input
+export const SPECIAL_TOKENS = 2;
+
+const CJK_RE = /[\u4E00-\u9FFF\u3400-\u4DBF\u{20000}-\u{2A6DF}\u{2A700}-\u{2B73F}\u{2B740}-\u{2B81F}\u{2B820}-\u{2CEAF}\uF900-\uFAFF\u{2F800}-\u{2FA1F}]/gu;
+const PUNCTUATION = '\\p{P}!-\\/:-@\\[-`{-~';
+const WORD_RE = new RegExp(`[^${PUNCTUATION}]+|[${PUNCTUATION}]`, 'gu');
+
+/**
+ * Lowercase, strip accents and split on whitespace and punctuation, with
+ * every CJK ideograph as its own word (BERT's basic tokenizer, uncased).
+ */
+function basicTokens(text) {
+  return text
+    .replace(/[\0\uFFFD]|(?![\t\n\r])\p{Cc}|\p{Cf}/gu, '')
+    .replace(CJK_RE, ' $& ')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{Mn}/gu, '')
+    .split(/\s+/)
+    .flatMap(word => word.match(WORD_RE) || []);
+}
+
+/**
+ * Greedy longest-match-first WordPiece split of one word, counted.
+ */
+function wordPieceCount(word) {
+  const chars = [...word];
+  if (chars.length > MAX_WORD_CHARS) {
+    return 1;
+  }
+  
+  let count = 0;
+  for (let start = 0; start < chars.length; count++) {
+    let end = chars.length;
+    while (end > start && !VOCAB.has((start > 0 ? '##' : '') + chars.slice(start, end).join(''))) {
+      end--;
+    }
+    if (end === start) {
+      return 1;
+    }
+    start = end;
+  }
+  return count;
+}
+
+/**
+ * Tokens the default embedding models (bge-*-en-v1.5) see for text, not
+ * counting the special tokens. Other models' tokenizers are close enough for
+ * sizing chunks, and their input limits are far larger.
+ */
+export function countTokens(text) {
+  let tokens = 0;
+  for (const word of basicTokens(text)) {
+    tokens += wordPieceCount(word);
+  }
+  return tokens;
+}
+
+// ============================================================================
+// Chunking
+// ============================================================================
+
+// Defaults for callers without their own MAX_CHUNK_TOKENS / CHUNK_OVERLAP
+const CHUNK_TOKENS = 400;
+const CHUNK_OVERLAP = 50;
+
+// Strategy per memory_type when chunking is "auto"; everything else is "text"
+export const CHUNK_STRATEGIES = ['auto', 'turns', 'markdown', 'text'];
+const STRATEGY_BY_TYPE = { conversation: 'turns', document: 'markdown' };
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})/;
+const HEADING_RE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const TURN_RE = /^\s*(?:\[([^\]\n]{1,40})\]|\*\*([^*\n]{1,40})\*\*|([A-Z][\w'-]*(?: [A-Z][\w'-]*){0,2}))\s*:\s?/;
+
+/**
+ * Split text into blocks: paragraphs, headings and fenced code blocks. Code
+ * fences are kept whole so a chunk boundary never lands inside one.
+ */
+function splitBlocks(text) {
+  const blocks = [];
+  let current = [];
+  let fence = null;
+  
+  const flush = (type = 'para') => {
+    if (current.length > 0 && current.join('').trim()) {
+      blocks.push({ type, text: current.join('\n') });
+    }
+    current = [];
+  };
+  
+  for (const line of text.split('\n')) {
+    if (fence) {
+      current.push(line);
+      if (line.trim().startsWith(fence)) {
+        flush('code');
+        fence = null;
+      }
+      continue;
+    }
+    
+    const fenceMatch = line.match(FENCE_RE);
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      current.push(line);
+      continue;
+    }
+    
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', text: line, level: heading[1].length, title: heading[2] });
+      continue;
+    }
+    
+    if (line.trim() === '') {
+      flush();
+    } else {
+      current.push(line);
+    }
+  }
+  
+  flush(fence ? 'code' : 'para');
+  return blocks;
+}
+
+/**
+ * Break a block that is larger than maxTokens on its own. Code is split by
+ * lines and every piece re-wrapped in the original fence; prose by sentence,
+ * then by word.
+ */
+function splitOversized(block, maxTokens) {
+  if (block.type === 'code') {
+    const lines = block.text.split('\n');
+    const open = lines[0];
+    const close = FENCE_RE.test(lines[lines.length - 1]) && lines.length > 1 ? lines.pop() : open.trim().replace(/[^`~].*$/, '');
+    const body = lines.slice(1);
+    const budget = Math.max(1, maxTokens - countTokens(open) - countTokens(close));
+    
+    return packPieces(body, budget, '\n').map(piece => ({ type: 'code', text: `${open}\n${piece}\n${close}` }));
+  }
+  
+  const sentences = block.text.split(/(?<=[.!?])\s+/);
+  const pieces = [];
+  for (const sentence of sentences) {
+    if (countTokens(sentence) <= maxTokens) {
+      pieces.push(sentence);
+    } else {
+      pieces.push(...packPieces(sentence.split(/\s+/), maxTokens, ' '));
+    }
+  }
+  
+  return packPieces(pieces, maxTokens, ' ').map(text => ({ type: block.type, text }));
+}
+
+function packPieces(pieces, maxTokens, separator) {
+  const out = [];
+  let current = [];
+  let tokens = 0;
+  
+  for (const piece of pieces) {
+    const pieceTokens = countTokens(piece);
+    if (current.length > 0 && tokens + pieceTokens > maxTokens) {
+      out.push(current.join(separator));
+      current = [];
+      tokens = 0;
+    }
+    current.push(piece);
+    tokens += pieceTokens;
+  }
+  
+  if (current.length > 0) {
+    out.push(current.join(separator));
+  }
+  return out;
+}
+
+/**
+ * Greedily pack blocks into chunks of at most maxTokens. Each new chunk
+ * repeats trailing blocks of the previous one, up to overlap tokens.
+ */
+function packBlocks(blocks, maxTokens, overlap, separator = '\n\n') {
+  const units = blocks.flatMap(block =>
+    countTokens(block.text) > maxTokens ? splitOversized(block, maxTokens) : [block]
+  ).map(block => ({ ...block, tokens: countTokens(block.text) }));
+  
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  let fresh = 0;
+  
+  for (const unit of units) {
+    // A heading stays with the block after it, even if that overshoots a little
+    const headingOnly = current.every(u => u.type === 'heading');
+    if (fresh > 0 && tokens + unit.tokens > maxTokens && !headingOnly) {
+      chunks.push(current);
+      
+      const carried = [];
+      let carriedTokens = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (carriedTokens + current[i].tokens > overlap || carriedTokens + current[i].tokens + unit.tokens > maxTokens) {
+          break;
+        }
+        carried.unshift(current[i]);
+        carriedTokens += current[i].tokens;
+      }
+      
+      current = carried;
+      tokens = carriedTokens;
+      fresh = 0;
+    }
+    current.push(unit);
+    tokens += unit.tokens;
+    fresh++;
+  }
+  
+  if (fresh > 0) {
+    chunks.push(current);
+  }
+  
+  return chunks.map(chunk => chunk.map(unit => unit.text).join(separator).trim());
+}
+
+function chunkPlainText(text, maxTokens, overlap) {
+  return packBlocks(splitBlocks(text).map(b => ({ ...b, type: b.type === 'heading' ? 'para' : b.type })), maxTokens, overlap)
+    .map(piece => ({ text: piece, section_path: null }));
+}
+
+function chunkMarkdown(text, maxTokens, overlap) {
+  const chunks = [];
+  const headings = [];
+  let section = [];
+  
+  const flush = () => {
+    if (section.length > 0) {
+      const path = headings.map(h => h.title).join(' > ') || null;
+      for (const piece of packBlocks(section, maxTokens, overlap)) {
+        chunks.push({ text: piece, section_path: path });
+      }
+    }
+    section = [];
+  };
+  
+  for (const block of splitBlocks(text)) {
+    if (block.type === 'heading') {
+      flush();
+      while (headings.length > 0 && headings[headings.length - 1].level >= block.level) {
+        headings.pop();
+      }
+      headings.push(block);
+    }
+    section.push(block);
+  }
+  
+  flush();
+  return chunks;
+}
+
+export function parseTurns(text) {
+  const turns = [];
+  
+  for (const line of text.split('\n')) {
+    const match = line.match(TURN_RE);
+    if (match) {
+      turns.push({ speaker: (match[1] || match[2] || match[3]).trim(), lines: [line] });
+    } else if (turns.length > 0) {
+      turns[turns.length - 1].lines.push(line);
+    } else if (line.trim()) {
+      turns.push({ speaker: null, lines: [line] });
+    }
+  }
+  
+  return turns.map(turn => ({ speaker: turn.speaker, text: turn.lines.join('\n').trim() }));
+}
+
+/**
+ * Conversation windows made of whole speaker turns. A turn too large for one
+ * chunk is split, and every continuation keeps its speaker label.
+ */
+function chunkTurns(text, maxTokens, overlap) {
+  const turns = parseTurns(text);
+  if (turns.filter(t => t.speaker).length < 2) {
+    return chunkPlainText(text, maxTokens, overlap);
+  }
+  
+  const units = [];
+  turns.forEach((turn, index) => {
+    if (countTokens(turn.text) <= maxTokens) {
+      units.push({ type: 'turn', text: turn.text, index });
+      return;
+    }
+    
+    const label = turn.speaker ? `[${turn.speaker}] (cont.): ` : '';
+    const budget = maxTokens - countTokens(label);
+    packBlocks(splitBlocks(turn.text), budget, 0).forEach((piece, i) => {
+      units.push({ type: 'turn', text: i === 0 ? piece : label + piece, index });
+    });
+  });
+  
+  // Pack turn units directly so the turn range of every chunk is known
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  let fresh = 0;
+  
+  const emit = () => {
+    const first = current[0].index + 1;
+    const last = current[current.length - 1].index + 1;
+    chunks.push({
+      text: current.map(u => u.text).join('\n\n'),
+      section_path: first === last ? `turn ${first}` : `turns ${first}-${last}`,
+      first_turn: current[0].index
+    });
+  };
+  
+  for (const unit of units) {
+    const unitTokens = countTokens(unit.text);
+    if (fresh > 0 && tokens + unitTokens > maxTokens) {
+      emit();
+      
+      const carried = [];
+      let carriedTokens = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const t = countTokens(current[i].text);
+        if (carriedTokens + t > overlap || carriedTokens + t + unitTokens > maxTokens) {
+          break;
+        }
+        carried.unshift(current[i]);
+        carriedTokens += t;
+      }
+      
+      current = carried;
+      tokens = carriedTokens;
+      fresh = 0;
+    }
+    current.push(unit);
+    tokens += unitTokens;
+    fresh++;
+  }
+  
+  if (fresh > 0) {
+    emit();
+  }
+  return chunks;
+}
+
+/**
+ * Chunk content with the given strategy ("auto" picks one from memory_type).
+ * Returns [{ text, section_path }], plus the 0-based first_turn of chunks
+ * made of speaker turns.
+ */
+export function chunkContent(text, { strategy = 'auto', memoryType, maxTokens = CHUNK_TOKENS, overlap = CHUNK_OVERLAP } = {}) {
+  if (!CHUNK_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown chunking strategy: ${strategy} (expected ${CHUNK_STRATEGIES.join(', ')})`);
+  }
+  
+  const resolved = strategy === 'auto' ? (STRATEGY_BY_TYPE[memoryType] || 'text') : strategy;
+  
+  if (countTokens(text) <= maxTokens) {
+    const single = resolved === 'markdown' ? chunkMarkdown(text, maxTokens, overlap) : null;
+    return [{ text, section_path: single?.length === 1 ? single[0].section_path : null }];
+  }
+  
+  switch (resolved) {
+    case 'turns':
+      return chunkTurns(text, maxTokens, overlap);
+    case 'markdown':
+      return chunkMarkdown(text, maxTokens, overlap);
+    default:
+      return chunkPlainText(text, maxTokens, overlap);
+  }
+}
@@ -7,6 +7,8 @@
  * Enforces source attribution (Trill Boundary) on all retrieved memories
  */
 
+import { CHUNK_STRATEGIES, SPECIAL_TOKENS, chunkContent, countTokens } from './chunking.js';
+
 // ============================================================================
 // MCP Tool Definitions
 // ============================================================================
@@ -14,24 +16,70 @@
 const MCP_TOOLS = [
   {
     name: "search",
-    description: `Search memories semantically. Returns memories with full source attribution.
+    description: `Search memories. Returns memories with full source attribution.
+    Hybrid mode fuses semantic and keyword rankings with reciprocal rank fusion, so exact names
+    and code identifiers are found even when embeddings miss them.
     
     Args:
         query: Natural language search query
+        mode: semantic, keyword or hybrid (default hybrid)
         entity: Optional - filter by entity namespace
         memory_type: Optional - filter by type (conversation, document, note, reflection, journal)
         source_platform: Optional - filter by platform
-        limit: Number of results (default 10, max 20)
-        min_score: Minimum similarity threshold (0-1, default 0.7)`,
+        limit: Results per page (default 10, max 100)
+        cursor: next_cursor from a previous page (or pass offset). Paging covers the top 100
+                candidates per signal; past them has_more is false and end_reason says so
+        min_score: Minimum similarity threshold for the semantic signal (0-1, default 0.7)
+        since / until: Only memories timestamped in this range (ISO 8601)
+        recency_weight: Blend recency into the score (0 = off, 1 = newest first; default 0)
+        recency_half_life_days: Age at which the recency boost halves (default 30)
+        weights: Blend of similarity, importance, recency and access frequency, e.g.
+                 { "similarity": 0.6, "importance": 0.3, "access": 0.1 } (default similarity only)
+        full_text: Load full chunk text from R2 instead of the 500 char preview (default true)
+        expand: Also return the N chunks before and after each hit from the same document (0-3, default 0)
+        entities: Optional - search several entities (instead of entity)
+        boundary: Search each entity in its own namespace and balance results between them (default false)
+        balance: How boundary mode shares results - interleave (default) or quota
+        per_entity: Quota per entity in quota mode (default limit / number of entities)
+        requesting_entity: Who is asking - labels each memory as own or another entity's
+        tags: Only memories carrying all of these tags
+        filter: Conditions on any metadata field - { "field": value } or { "field": { "$op": operand } }
+                with $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $all`,
     inputSchema: {
       type: "object",
       properties: {
         query: { type: "string", description: "Semantic search query" },
+        mode: { type: "string", enum: ["semantic", "keyword", "hybrid"], default: "hybrid" },
         entity: { type: "string", description: "Entity namespace to search" },
         memory_type: { type: "string", enum: ["conversation", "document", "note", "reflection", "journal"] },
         source_platform: { type: "string", description: "Source platform filter" },
-        limit: { type: "integer", default: 10, maximum: 20 },
-        min_score: { type: "number", default: 0.7, minimum: 0, maximum: 1 }
+        limit: { type: "integer", default: 10, maximum: 100 },
+        cursor: { type: "string", description: "Opaque cursor from next_cursor" },
+        offset: { type: "integer", default: 0, minimum: 0 },
+        min_score: { type: "number", default: 0.7, minimum: 0, maximum: 1 },
+        since: { type: "string", format: "date-time", description: "Earliest memory timestamp" },
+        until: { type: "string", format: "date-time", description: "Latest memory timestamp" },
+        recency_weight: { type: "number", default: 0, minimum: 0, maximum: 1 },
+        recency_half_life_days: { type: "number", default: 30, exclusiveMinimum: 0 },
+        weights: {
+          type: "object",
+          description: "Ranking blend (relative weights)",
+          properties: {
+            similarity: { type: "number", minimum: 0 },
+            importance: { type: "number", minimum: 0 },
+            recency: { type: "number", minimum: 0 },
+            access: { type: "number", minimum: 0 }
+          }
+        },
+        full_text: { type: "boolean", default: true, description: "Hydrate full chunk text from R2" },
+        expand: { type: "integer", default: 0, minimum: 0, maximum: 3, description: "Neighbor chunks per side" },
+        entities: { type: "array", items: { type: "string" }, description: "Entity namespaces to search" },
+        boundary: { type: "boolean", default: false, description: "Per-entity queries with balanced results" },
+        balance: { type: "string", enum: ["interleave", "quota"], default: "interleave" },
+        per_entity: { type: "integer", minimum: 1 },
+        requesting_entity: { type: "string", description: "Entity the results are for (own/other labels)" },
+        tags: { type: "array", items: { type: "string" }, description: "Required tags" },
+        filter: { type: "object", description: "Metadata filter, e.g. {\"conversation_id\": {\"$in\": [\"a\", \"b\"]}}" }
       },
       required: ["query"]
     }
@@ -42,29 +90,102 @@ const MCP_TOOLS = [
     Use this at the START of a conversation to get up to speed.
     
     Args:
-        topic: What you need context about (or "recent" for latest memories)
+        topic: What you need context about (or "recent" for the latest memories per entity, oldest first)
         entity: Whose memories to search (default: all)
-        max_tokens: Approximate token budget (default 2000)`,
+        max_tokens: Approximate token budget (default 2000)
+        since / until: Only memories timestamped in this range (ISO 8601)
+        recency_weight: Blend recency into topic ranking (0-1, default 0)
+        weights: Ranking blend for topic matches (default similarity 0.7, importance 0.2, access 0.1)
+        expand: Include N neighbor chunks around each topic match (0-3, default 0)
+        entities: Optional - several entities instead of entity
+        boundary: Balance topic matches between entities (default false)
+        requesting_entity: Who is being grounded - labels each memory as own or another entity's
+        prefer_reflections: Put reflections first and leave out the memories they summarize (default true)
+        diversity: Trade relevance for variety between near-duplicate memories (0-1, default 0.5)
+        group_by: none (default), entity, platform or conversation - groups read oldest first
+        format: markdown (default), xml or json
+    Pinned memories are always included first; the rest is the most valuable set that fits max_tokens.`,
     inputSchema: {
       type: "object",
       properties: {
         topic: { type: "string", description: "Topic or 'recent' for latest" },
         entity: { type: "string", default: "all" },
-        max_tokens: { type: "integer", default: 2000, maximum: 8000 }
+        max_tokens: { type: "integer", default: 2000, maximum: 8000 },
+        since: { type: "string", format: "date-time" },
+        until: { type: "string", format: "date-time" },
+        recency_weight: { type: "number", default: 0, minimum: 0, maximum: 1 },
+        weights: {
+          type: "object",
+          description: "Ranking blend (relative weights)",
+          properties: {
+            similarity: { type: "number", minimum: 0 },
+            importance: { type: "number", minimum: 0 },
+            recency: { type: "number", minimum: 0 },
+            access: { type: "number", minimum: 0 }
+          }
+        },
+        expand: { type: "integer", default: 0, minimum: 0, maximum: 3 },
+        entities: { type: "array", items: { type: "string" } },
+        boundary: { type: "boolean", default: false },
+        requesting_entity: { type: "string" },
+        prefer_reflections: { type: "boolean", default: true },
+        diversity: { type: "number", default: 0.5, minimum: 0, maximum: 1 },
+        group_by: { type: "string", enum: ["none", "entity", "platform", "conversation"], default: "none" },
+        format: { type: "string", enum: ["markdown", "xml", "json"], default: "markdown" }
       },
       required: ["topic"]
     }
   },
+  {
+    name: "get_memory",
+    description: `Fetch one memory by id: full text, metadata and the attributed rendering.
+    
+    Args:
+        id: Memory id`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "get_document",
+    description: `Reconstruct the parent document a memory was chunked from.
+    Returns the document's source info, its full text (original content when it was ingested in one
+    call, otherwise the chunks joined in order) and the list of chunks.
+    
+    Args:
+        id: A memory id from search results
+        parent_id / entity_name: Or address the document directly`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        parent_id: { type: "string" },
+        entity_name: { type: "string" }
+      }
+    }
+  },
   {
     name: "ingest",
     description: `Ingest content into memory. Handles chunking, embedding, and storage.
+    Idempotent: chunks already stored for the entity are skipped without re-embedding.
     
     Args:
         content: Text to ingest
         entity_name: Who this belongs to (namespace)
         source_platform: Where this came from
         memory_type: Type classification
-        metadata: Additional metadata (speaker, tags, timestamp)`,
+        chunking: auto (by memory_type: conversation -> turns, document -> markdown, else text),
+                  turns, markdown or text
+        parent_id: Optional - join this call to an existing document (for callers that send one chunk
+                   per call with chunk_index / total_chunks in metadata)
+        importance: 0-1 (default: estimated from memory_type and the text)
+        tags: Tags for every chunk
+        metadata: Additional metadata (speaker, timestamp, conversation_id, ...) - system fields
+                  such as entity_name or r2_key cannot be set here`,
     inputSchema: {
       type: "object",
       properties: {
@@ -72,6 +193,10 @@ const MCP_TOOLS = [
         entity_name: { type: "string" },
         source_platform: { type: "string" },
         memory_type: { type: "string", enum: ["conversation", "document", "note", "reflection", "journal"] },
+        chunking: { type: "string", enum: ["auto", "turns", "markdown", "text"], default: "auto" },
+        parent_id: { type: "string", pattern: "^doc_[A-Za-z0-9_-]{1,64}$" },
+        importance: { type: "number", minimum: 0, maximum: 1 },
+        tags: { type: "array", items: { type: "string", maxLength: 48 }, maxItems: 16 },
         metadata: { type: "object" }
       },
       required: ["content", "entity_name", "source_platform", "memory_type"]
@@ -86,7 +211,9 @@ const MCP_TOOLS = [
         entity_name: Who this belongs to
         source_platform: Origin
         memory_type: Type
-        metadata: Additional metadata`,
+        importance: 0-1 (default: estimated from memory_type and the text)
+        tags: Tags
+        metadata: Additional metadata (not system fields such as entity_name)`,
     inputSchema: {
       type: "object",
       properties: {
@@ -94,18 +221,301 @@ const MCP_TOOLS = [
         entity_name: { type: "string" },
         source_platform: { type: "string" },
         memory_type: { type: "string" },
+        importance: { type: "number", minimum: 0, maximum: 1 },
+        tags: { type: "array", items: { type: "string", maxLength: 48 }, maxItems: 16 },
         metadata: { type: "object" }
       },
       required: ["text", "entity_name", "memory_type"]
     }
   },
+  {
+    name: "export",
+    description: `Export memories as JSONL for backup or migration, one page at a time.
+    Each line is a memory with its id, full text and metadata (and vector values if asked);
+    the first page starts with a header line.
+    
+    Args:
+        entity_name: Optional - only this entity (default: all entities)
+        include_vectors: Include embedding values (default false)
+        limit: Memories per page (default 100, max 200)
+        cursor: next_cursor from the previous page`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_name: { type: "string" },
+        include_vectors: { type: "boolean", default: false },
+        limit: { type: "integer", default: 100, maximum: 200 },
+        cursor: { type: "string" }
+      }
+    }
+  },
+  {
+    name: "import",
+    description: `Restore memories from an export, keeping their ids and timestamps.
+    Vectors from the export are reused when they match the active embedding model, otherwise the
+    text is re-embedded. Memories whose id already exists are skipped.
+    
+    Args:
+        records: Memory lines from an export (max 500 per call)
+        reembed: Always re-embed, even when vectors are included (default false)
+        dry_run: Only report what would be imported`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        records: { type: "array", items: { type: "object" }, maxItems: 500 },
+        reembed: { type: "boolean", default: false },
+        dry_run: { type: "boolean", default: false }
+      },
+      required: ["records"]
+    }
+  },
   {
     name: "stats",
-    description: `Get system statistics - storage usage, recent activity.`,
+    description: `Get system statistics - vectors per entity, memory type and platform, R2 usage,
+    last ingest per entity and embedding calls.
+    
+    Args:
+        entity: Optional - only this entity's counters`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity: { type: "string" }
+      }
+    }
+  },
+  {
+    name: "reembed",
+    description: `Migrate memories to another Vectorize index with a different embedding model, using the
+    R2 chunk copies. Processes one page per call - repeat with next_cursor until it is null. Requires admin access.
+    
+    Args:
+        target_index: Name of the Vectorize binding to write to (e.g. VECTORIZE_NEXT)
+        provider: Embedding provider for the new index (workers-ai, openai, stub)
+        model: Embedding model for the new index
+        dimensions: Vector size of the new index (defaults to the model's known size)
+        entity_name: Optional - only migrate this entity
+        cursor: next_cursor from the previous call
+        limit: Memories per call (default 100, max 200)
+        dry_run: Report counts without embedding anything`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        target_index: { type: "string" },
+        provider: { type: "string", enum: ["workers-ai", "openai", "stub"] },
+        model: { type: "string" },
+        dimensions: { type: "integer" },
+        entity_name: { type: "string" },
+        cursor: { type: "string" },
+        limit: { type: "integer", default: 100, maximum: 200 },
+        dry_run: { type: "boolean", default: false }
+      },
+      required: ["target_index"]
+    }
+  },
+  {
+    name: "recompute_stats",
+    description: `Rebuild the stats counters from R2 if they have drifted. Requires admin access.`,
     inputSchema: {
       type: "object",
       properties: {}
     }
+  },
+  {
+    name: "backfill_index",
+    description: `Write the R2 memory index entries and chunk references missing for the given vectors.
+    Vectors stored before the index existed are skipped by recent, facets, export, reembed,
+    forget_source and purge_entity until backfilled. scripts/backfill-index.js lists every
+    vector id and calls this in batches. Run recompute_stats afterwards. Requires admin access.
+    
+    Args:
+        ids: Vector ids to check (at most 100)
+        dry_run: Report what would be written without writing (default false)`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        ids: { type: "array", items: { type: "string" }, maxItems: 100 },
+        dry_run: { type: "boolean", default: false }
+      },
+      required: ["ids"]
+    }
+  },
+  {
+    name: "delete",
+    description: `Delete memories by id. Removes the vectors and their R2 chunk copies.
+    
+    Args:
+        ids: Memory ids to delete (at most 100)
+        dry_run: List what would be deleted without deleting (default false)`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        ids: { type: "array", items: { type: "string" }, maxItems: 100 },
+        dry_run: { type: "boolean", default: false }
+      },
+      required: ["ids"]
+    }
+  },
+  {
+    name: "forget_source",
+    description: `Forget every memory chunk that came from a given source file or conversation.
+    
+    Args:
+        entity_name: Entity the memories belong to
+        source_file: Remove chunks ingested from this file
+        conversation_id: Remove chunks from this conversation
+        cursor: next_cursor from the previous call - each call covers 100 memories of the entity,
+                so repeat until next_cursor is null
+        dry_run: List what would be deleted without deleting (default false)`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_name: { type: "string" },
+        source_file: { type: "string" },
+        conversation_id: { type: "string" },
+        cursor: { type: "string" },
+        dry_run: { type: "boolean", default: false }
+      },
+      required: ["entity_name"]
+    }
+  },
+  {
+    name: "purge_entity",
+    description: `Delete ALL memories for an entity. Requires admin access.
+    
+    Args:
+        entity_name: Entity to purge
+        confirm: Must repeat the entity name (not needed for dry runs)
+        cursor: next_cursor from the previous call - each call deletes up to 100 memories,
+                so repeat until next_cursor is null
+        dry_run: List what would be deleted without deleting (default false)`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_name: { type: "string" },
+        confirm: { type: "string" },
+        cursor: { type: "string" },
+        dry_run: { type: "boolean", default: false }
+      },
+      required: ["entity_name"]
+    }
+  },
+  {
+    name: "update",
+    description: `Correct a memory in place. Re-embeds the new text under the same id and keeps its metadata.
+    The previous version is kept in revision history.
+    
+    Args:
+        id: Memory id
+        text: Corrected memory text
+        metadata: Optional metadata to merge in (not system fields; change importance with patch_metadata)`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        text: { type: "string" },
+        metadata: { type: "object" }
+      },
+      required: ["id", "text"]
+    }
+  },
+  {
+    name: "patch_metadata",
+    description: `Change a memory's tags, memory_type, timestamp or importance without re-embedding.
+    
+    Args:
+        id: Memory id
+        tags: Replacement tag list
+        memory_type: New type
+        timestamp: Corrected timestamp
+        importance: New importance (0-1)`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        tags: { type: "array", items: { type: "string" } },
+        memory_type: { type: "string", enum: ["conversation", "document", "note", "reflection", "journal"] },
+        timestamp: { type: "string" },
+        importance: { type: "number", minimum: 0, maximum: 1 }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "history",
+    description: `Show every revision of a memory - what changed and when.
+    
+    Args:
+        id: Memory id`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "pin",
+    description: `Pin a core memory so get_grounding_context always includes it (or unpin it).
+    
+    Args:
+        id: Memory id
+        pinned: true to pin, false to unpin (default true)`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        pinned: { type: "boolean", default: true }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "consolidate",
+    description: `Condense clusters of similar memories into reflection memories. An entity's memories from the
+    time window are grouped by embedding similarity, each group is summarized by a language model and stored
+    as a "reflection" that lists its source_memory_ids. Memories already covered by a reflection are skipped.
+    
+    Args:
+        entity_name: Entity to consolidate
+        since / until: Time window (ISO 8601, default: the last CONSOLIDATE_WINDOW_DAYS days)
+        similarity: Cosine similarity needed to join a cluster (default 0.8)
+        min_cluster_size: Smallest cluster worth a reflection (default 3)
+        max_clusters: Reflections to write per call (default 5)
+        dry_run: Report the clusters without summarizing or storing anything`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_name: { type: "string" },
+        since: { type: "string", format: "date-time" },
+        until: { type: "string", format: "date-time" },
+        similarity: { type: "number", default: 0.8, minimum: 0, maximum: 1 },
+        min_cluster_size: { type: "integer", default: 3, minimum: 2, maximum: 12 },
+        max_clusters: { type: "integer", default: 5, minimum: 1, maximum: 20 },
+        dry_run: { type: "boolean", default: false }
+      },
+      required: ["entity_name"]
+    }
+  },
+  {
+    name: "facets",
+    description: `List the distinct tags, source platforms, memory types and conversations (with titles) of an
+    entity, each with its memory count - useful for choosing search filters.
+    
+    Args:
+        entity_name: Entity to describe
+        since / until: Only memories timestamped in this range (ISO 8601)
+        limit: Values per facet, most common first (default 50)`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_name: { type: "string" },
+        since: { type: "string", format: "date-time" },
+        until: { type: "string", format: "date-time" },
+        limit: { type: "integer", default: 50, minimum: 1, maximum: 500 }
+      },
+      required: ["entity_name"]
+    }
   }
 ];
 
@@ -113,6 +523,18 @@ const MCP_TOOLS = [
 // Utility Functions
 // ============================================================================
 
+/**
+ * Deterministic memory id for a chunk: the same text stored twice for the
+ * same entity maps to the same vector, so re-imports are idempotent.
+ */
+async function contentId(entity, hash) {
+  return 'mem_' + (await hashContent(`${entity}:${hash}`)).slice(0, 16);
+}
+
+/**
+ * Random memory id, for text whose content id is already taken by a memory
+ * that was updated to other text.
+ */
 function generateId() {
   return 'mem_' + crypto.randomUUID().replace(/-/g, '').slice(0, 16);
 }
@@ -125,367 +547,4521 @@ async function hashContent(text) {
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
-function estimateTokens(text) {
-  return Math.ceil(text.length / 4);
+function batches(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) {
+    out.push(items.slice(i, i + size));
+  }
+  return out;
 }
 
-function chunkText(text, maxTokens = 400, overlap = 50) {
-  const maxChars = maxTokens * 4;
-  const overlapChars = overlap * 4;
-  
-  if (text.length <= maxChars) {
-    return [text];
-  }
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
   
-  const chunks = [];
-  let start = 0;
-  
-  while (start < text.length) {
-    let end = start + maxChars;
-    
-    if (end < text.length) {
-      const slice = text.slice(start, end);
-      const lastBreak = Math.max(
-        slice.lastIndexOf('\n\n'),
-        slice.lastIndexOf('. '),
-        slice.lastIndexOf('? '),
-        slice.lastIndexOf('! ')
-      );
-      if (lastBreak > maxChars * 0.5) {
-        end = start + lastBreak + 1;
-      }
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
     }
-    
-    chunks.push(text.slice(start, end).trim());
-    start = end - overlapChars;
   }
   
-  return chunks;
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function toEpochMs(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : undefined;
+}
+
+// timestamp_ms is the numeric copy of timestamp that date range filters run on
+function withTimestampMs(metadata) {
+  const ms = toEpochMs(metadata.timestamp);
+  if (ms === undefined) {
+    delete metadata.timestamp_ms;
+  } else {
+    metadata.timestamp_ms = ms;
+  }
+  return metadata;
+}
+
+function memoryTimeMs(metadata) {
+  return metadata?.timestamp_ms ?? toEpochMs(metadata?.timestamp) ?? toEpochMs(metadata?.ingested_at) ?? 0;
 }
 
-function formatAttribution(memory) {
+function formatAttribution(memory, requestingEntity = null) {
   const entity = memory.metadata?.entity_name || 'unknown';
   const platform = memory.metadata?.source_platform || 'unknown';
   const timestamp = memory.metadata?.timestamp || 'unknown date';
   const type = memory.metadata?.memory_type || 'memory';
+  const revised = memory.metadata?.revised_at ? ` | revised_at: ${memory.metadata.revised_at}` : '';
+  const owner = requestingEntity
+    ? (entity === requestingEntity ? ' (YOUR OWN MEMORY)' : ' (ANOTHER ENTITY\'S MEMORY - not yours)')
+    : '';
   
-  return `[${type.toUpperCase()} from ${entity} | Source: ${platform} | ${timestamp}]
+  return `[${type.toUpperCase()} from ${entity}${owner} | Source: ${platform} | ${timestamp}${revised}]
 ${memory.text || memory.metadata?.text_preview || '(content unavailable)'}
 ---`;
 }
 
 // ============================================================================
-// MCP Protocol Handler
+// Chunk Storage (R2 + KV cache)
 // ============================================================================
 
-async function handleMCPRequest(request, env) {
-  const body = await request.json();
-  const { method, params, id } = body;
-  
-  switch (method) {
-    case 'initialize':
-      return {
-        jsonrpc: '2.0',
-        id,
-        result: {
-          protocolVersion: '2024-11-05',
-          capabilities: { tools: {} },
-          serverInfo: {
-            name: 'unified-mind',
-            version: '1.0.0',
-            description: 'Multi-entity vector memory with source attribution'
-          }
-        }
-      };
-      
-    case 'tools/list':
-      return {
-        jsonrpc: '2.0',
-        id,
-        result: { tools: MCP_TOOLS }
-      };
-      
-    case 'tools/call':
-      const { name, arguments: args } = params;
-      try {
-        const result = await executeTool(name, args || {}, env);
-        return {
-          jsonrpc: '2.0',
-          id,
-          result: { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] }
-        };
-      } catch (error) {
-        return {
-          jsonrpc: '2.0',
-          id,
-          error: { code: -32000, message: error.message }
-        };
-      }
-      
-    default:
-      return {
-        jsonrpc: '2.0',
-        id,
-        error: { code: -32601, message: `Unknown method: ${method}` }
-      };
-  }
-}
-
-// ============================================================================
-// Tool Execution
-// ============================================================================
+const PREVIEW_LENGTH = 500;
+const CHUNK_CACHE_PREFIX = 'unified-mind:chunk:';
+const R2_FETCH_CONCURRENCY = 8;
 
-async function executeTool(name, args, env) {
-  switch (name) {
-    case 'search':
-      return await toolSearch(args, env);
-    case 'get_grounding_context':
-      return await toolGetGroundingContext(args, env);
-    case 'ingest':
-      return await toolIngest(args, env);
-    case 'store':
-      return await toolStore(args, env);
-    case 'stats':
-      return await toolStats(env);
-    default:
-      throw new Error(`Unknown tool: ${name}`);
-  }
+async function putChunk(hash, text, metadata, env) {
+  const key = `chunks/${hash}.json`;
+  const body = JSON.stringify({
+    hash,
+    text,
+    metadata
+  });
+  await env.R2.put(key, body);
+  return { key, bytes: new TextEncoder().encode(body).length };
 }
 
-// ============================================================================
-// Tool: Search
-// ============================================================================
-
-async function toolSearch(args, env) {
-  const { query, entity, memory_type, source_platform, limit = 10, min_score = 0.7 } = args;
-  
-  const embedding = await generateEmbedding(query, env);
+async function loadChunkText(r2Key, env) {
+  const cacheKey = CHUNK_CACHE_PREFIX + r2Key;
   
-  const filter = {};
-  if (entity && entity !== 'all') {
-    filter.entity_name = entity;
-  }
-  if (memory_type) {
-    filter.memory_type = memory_type;
-  }
-  if (source_platform) {
-    filter.source_platform = source_platform;
+  try {
+    const cached = await env.CACHE.get(cacheKey);
+    if (cached !== null) {
+      return cached;
+    }
+  } catch (e) {
+    // Cache miss or KV unavailable - fall through to R2
   }
   
-  const queryOptions = {
-    topK: Math.min(limit, 20),
-    returnValues: false,
-    returnMetadata: 'all'
-  };
-  
-  if (Object.keys(filter).length > 0) {
-    queryOptions.filter = filter;
+  const object = await env.R2.get(r2Key);
+  if (!object) {
+    return null;
   }
   
-  const results = await env.VECTORIZE.query(embedding, queryOptions);
+  const chunk = await object.json();
   
-  const memories = results.matches
-    .filter(m => m.score >= min_score)
-    .map(m => ({
-      id: m.id,
-      score: m.score,
-      text: m.metadata?.text_preview,
-      metadata: m.metadata,
-      formatted: formatAttribution({ metadata: m.metadata, text: m.metadata?.text_preview })
-    }));
+  try {
+    await env.CACHE.put(cacheKey, chunk.text, {
+      expirationTtl: parseInt(env.CHUNK_CACHE_TTL) || 86400
+    });
+  } catch (e) {
+    // Caching is best-effort
+  }
   
-  return {
-    query,
-    count: memories.length,
-    memories
-  };
+  return chunk.text;
+}
+
+/**
+ * Replace preview text with the full chunk body for every match that has an
+ * R2 copy. Fetches run in parallel, bounded by R2_FETCH_CONCURRENCY.
+ */
+async function hydrateTexts(matches, env) {
+  return await mapConcurrent(matches, R2_FETCH_CONCURRENCY, async (match) => {
+    const r2Key = match.metadata?.r2_key;
+    if (!r2Key) {
+      return match.metadata?.text_preview;
+    }
+    
+    try {
+      const text = await loadChunkText(r2Key, env);
+      return text ?? match.metadata?.text_preview;
+    } catch (e) {
+      return match.metadata?.text_preview;
+    }
+  });
 }
 
 // ============================================================================
-// Tool: Get Grounding Context
+// Memory Index (R2)
 // ============================================================================
 
-async function toolGetGroundingContext(args, env) {
-  const { topic, entity = 'all', max_tokens = 2000 } = args;
-  
-  let searchQuery = topic;
-  
-  if (topic.toLowerCase() === 'recent') {
-    searchQuery = 'recent conversation important memory significant moment';
-  }
-  
-  const searchResult = await toolSearch({
-    query: searchQuery,
-    entity,
-    limit: 20,
-    min_score: 0.5
-  }, env);
-  
+// One empty R2 object per memory at memories/<entity>/<id>. The interesting
+// metadata rides along as customMetadata so an entity can be enumerated
+// (and filtered by source) with list() alone - Vectorize cannot list.
+const MEMORY_INDEX_PREFIX = 'memories/';
+const MEMORY_INDEX_FIELDS = [
+  'entity_name', 'source_platform', 'memory_type', 'timestamp',
+  'chunk_hash', 'r2_key', 'r2_bytes', 'source_file', 'conversation_id', 'ingested_at', 'parent_id',
+  'tags', 'conversation_title'
+];
+// R2 allows 2 KB of customMetadata per object
+const INDEX_TITLE_LENGTH = 120;
+
+function memoryIndexKey(entity, id) {
+  return `${MEMORY_INDEX_PREFIX}${entity}/${id}`;
+}
+
+// One empty object per memory that points at a chunk object, at
+// chunk-refs/<r2_key>/<id>, so a delete can tell whether a shared chunk is
+// still in use by listing that prefix alone.
+const CHUNK_REF_PREFIX = 'chunk-refs/';
+
+function chunkRefKey(r2Key, id) {
+  return `${CHUNK_REF_PREFIX}${r2Key}/${id}`;
+}
+
+async function putMemoryIndex(id, metadata, env) {
+  const customMetadata = {};
+  for (const field of MEMORY_INDEX_FIELDS) {
+    const value = metadata[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (Array.isArray(value)) {
+      customMetadata[field] = JSON.stringify(value);
+    } else if (field === 'conversation_title') {
+      customMetadata[field] = String(value).slice(0, INDEX_TITLE_LENGTH);
+    } else {
+      customMetadata[field] = String(value);
+    }
+  }
+  
+  if (metadata.r2_key) {
+    await env.R2.put(chunkRefKey(metadata.r2_key, id), '');
+  }
+  await env.R2.put(memoryIndexKey(metadata.entity_name, id), '', { customMetadata });
+}
+
+/**
+ * The ids that already have a memory index entry. Ingest and store write the
+ * entry last, so an id without one was never stored or was interrupted
+ * part-way and is written again.
+ */
+async function indexedIds(entity, ids, env) {
+  const heads = await mapConcurrent(ids, R2_FETCH_CONCURRENCY, id => env.R2.head(memoryIndexKey(entity, id)));
+  return new Set(ids.filter((id, i) => heads[i]));
+}
+
+// update keeps a memory's id, which came from the hash of the text it was
+// first stored with, so the id of a memory whose current text doesn't match
+// its id is recorded at hash-ids/<entity>/<hash> (id in customMetadata)
+const HASH_ID_PREFIX = 'hash-ids/';
+
+function hashIdKey(entity, hash) {
+  return `${HASH_ID_PREFIX}${entity}/${hash}`;
+}
+
+async function putHashId(entity, hash, id, env) {
+  await env.R2.put(hashIdKey(entity, hash), '', { customMetadata: { id } });
+}
+
+/**
+ * Where each text hash belongs in an entity: Map of hash to { id, stored }.
+ * stored means a memory with exactly that text exists - its index entry's
+ * chunk_hash matches, not just its id. Otherwise id is where to write it;
+ * when the hash's id is taken by a memory updated to other text, a new id is
+ * drawn and `alias` is set so the caller records it before writing.
+ */
+async function resolveContentIds(entity, hashes, env) {
+  const unique = [...new Set(hashes)];
+  const resolved = await mapConcurrent(unique, R2_FETCH_CONCURRENCY, async (hash) => {
+    const alias = await env.R2.head(hashIdKey(entity, hash));
+    const id = alias?.customMetadata?.id || await contentId(entity, hash);
+    const entry = await env.R2.head(memoryIndexKey(entity, id));
+    if (!entry) {
+      return { id, stored: false };
+    }
+    if (entry.customMetadata?.chunk_hash === hash) {
+      return { id, stored: true };
+    }
+    return { id: generateId(), stored: false, alias: true };
+  });
+  return new Map(unique.map((hash, i) => [hash, resolved[i]]));
+}
+
+/**
+ * List index entries for one entity (or every entity when entity is null).
+ * Returns [{ id, entity_name, chunk_hash, r2_key, ... }].
+ */
+async function listMemoryIndex(env, entity = null) {
+  const entries = [];
+  let cursor;
+  
+  do {
+    const page = await listMemoryIndexPage(env, entity, cursor);
+    entries.push(...page.entries);
+    cursor = page.cursor;
+  } while (cursor);
+  
+  return entries;
+}
+
+/**
+ * One R2 list page of index entries, for tools that walk the index a call at
+ * a time. cursor is null after the last page.
+ */
+async function listMemoryIndexPage(env, entity, cursor, limit) {
+  const prefix = entity ? `${MEMORY_INDEX_PREFIX}${entity}/` : MEMORY_INDEX_PREFIX;
+  const page = await env.R2.list({ prefix, cursor, limit, include: ['customMetadata'] });
+  
+  return {
+    entries: page.objects.map(object => ({
+      ...object.customMetadata,
+      id: object.key.slice(object.key.lastIndexOf('/') + 1),
+      index_key: object.key
+    })),
+    cursor: page.truncated ? page.cursor : null
+  };
+}
+
+// Cursor for the tools that walk the index a page per call (export, reembed,
+// forget_source, purge_entity): the R2 list cursor plus how many memories
+// came before it
+function encodeIndexCursor(r2Cursor, offset) {
+  return btoa(JSON.stringify({ r2: r2Cursor, offset }));
+}
+
+function decodeIndexCursor(cursor) {
+  try {
+    const { r2, offset } = JSON.parse(atob(cursor));
+    if (typeof r2 === 'string' && Number.isInteger(offset) && offset >= 0) {
+      return { r2, offset };
+    }
+  } catch (e) {
+    // Fall through to the error below
+  }
+  throw new ValidationError('Invalid cursor');
+}
+
+// ============================================================================
+// Tags & User Metadata
+// ============================================================================
+
+// Callers' metadata is spread into the vector metadata, so it may not set
+// the fields the Worker derives or that scope access, stats and ranking.
+// importance has its own validated argument, and only consolidation (which
+// calls toolStore directly) writes source_memory_ids.
+const SYSTEM_FIELDS = [
+  'entity_name', 'source_platform', 'memory_type', 'timestamp_ms', 'text_preview', 'chunk_hash',
+  'ingested_at', 'r2_key', 'r2_bytes', 'embedding_model', 'parent_id', 'revision', 'revised_at', 'pinned',
+  'importance', 'source_memory_ids'
+];
+const MAX_TAGS = 16;
+const MAX_TAG_LENGTH = 48;
+
+function assertUserMetadata(metadata) {
+  if (metadata === undefined) {
+    return;
+  }
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new ValidationError('metadata must be an object');
+  }
+  
+  const reserved = Object.keys(metadata).filter(key => SYSTEM_FIELDS.includes(key));
+  if (reserved.length > 0) {
+    throw new ValidationError(`metadata cannot set system fields: ${reserved.join(', ')} (pass them as tool arguments)`);
+  }
+}
+
+/**
+ * Trimmed, de-duplicated tag list, or undefined when no tags were given.
+ */
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null) {
+    return undefined;
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw new ValidationError('tags must be an array of strings');
+  }
+  
+  const normalized = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) {
+    throw new ValidationError(`At most ${MAX_TAGS} tags per memory`);
+  }
+  const long = normalized.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (long) {
+    throw new ValidationError(`Tag longer than ${MAX_TAG_LENGTH} characters: ${long}`);
+  }
+  return normalized;
+}
+
+/**
+ * Tags from a memory index entry (stored as a JSON array string).
+ */
+function indexTags(entry) {
+  if (!entry.tags) {
+    return [];
+  }
+  try {
+    const tags = JSON.parse(entry.tags);
+    return Array.isArray(tags) ? tags : [];
+  } catch (e) {
+    return entry.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+}
+
+// ============================================================================
+// Documents (R2)
+// ============================================================================
+
+// Every ingest call is one parent document, stored as
+//   documents/<entity>/<parent_id>/manifest.json   source info (+ original content)
+//   documents/<entity>/<parent_id>/chunk-<index>   one empty object per chunk, id in customMetadata
+// Chunk entries are separate objects so callers that ingest a document one
+// chunk per call (the CLI) can write them concurrently without a lost update.
+const DOCUMENT_PREFIX = 'documents/';
+const PARENT_ID_RE = /^doc_[A-Za-z0-9_-]{1,64}$/;
+const MAX_EXPAND = 3;
+
+function documentPrefix(entity, parentId) {
+  return `${DOCUMENT_PREFIX}${entity}/${parentId}/`;
+}
+
+async function documentId(entity, content) {
+  return 'doc_' + (await hashContent(`${entity}:${await hashContent(content)}`)).slice(0, 16);
+}
+
+async function putDocument(entity, parentId, manifest, entries, env) {
+  const prefix = documentPrefix(entity, parentId);
+  if (manifest) {
+    await env.R2.put(prefix + 'manifest.json', JSON.stringify(manifest));
+  }
+  
+  await mapConcurrent(entries, R2_WRITE_CONCURRENCY, entry => {
+    const customMetadata = { id: entry.id, chunk_index: String(entry.chunk_index) };
+    if (entry.section_path) {
+      customMetadata.section_path = entry.section_path;
+    }
+    return env.R2.put(documentChunkKey(prefix, entry.chunk_index), '', { customMetadata });
+  });
+}
+
+function documentChunkKey(prefix, chunkIndex) {
+  return `${prefix}chunk-${String(chunkIndex).padStart(6, '0')}`;
+}
+
+async function listDocumentChunks(entity, parentId, env) {
+  const prefix = documentPrefix(entity, parentId);
+  const chunks = [];
+  let cursor;
+  
+  do {
+    const page = await env.R2.list({ prefix: prefix + 'chunk-', cursor, include: ['customMetadata'] });
+    for (const object of page.objects) {
+      chunks.push({
+        id: object.customMetadata.id,
+        chunk_index: parseInt(object.customMetadata.chunk_index),
+        section_path: object.customMetadata.section_path || null
+      });
+    }
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  
+  return chunks.sort((a, b) => a.chunk_index - b.chunk_index);
+}
+
+async function listDocumentKeys(entity, parentId, env) {
+  const keys = [];
+  let cursor;
+  
+  do {
+    const page = await env.R2.list({ prefix: documentPrefix(entity, parentId), cursor });
+    keys.push(...page.objects.map(o => o.key));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  
+  return keys;
+}
+
+/**
+ * Join consecutive chunk texts, dropping the overlap a chunk repeats from the
+ * end of the one before it.
+ */
+function joinChunks(texts) {
+  let joined = '';
+  
+  for (const text of texts) {
+    if (!joined) {
+      joined = text;
+      continue;
+    }
+    
+    let overlap = 0;
+    for (let k = Math.min(text.length, joined.length); k >= 20; k--) {
+      if (joined.endsWith(text.slice(0, k))) {
+        overlap = k;
+        break;
+      }
+    }
+    joined += overlap > 0 ? text.slice(overlap) : '\n\n' + text;
+  }
+  
+  return joined;
+}
+
+/**
+ * Attach the +-n chunks around each search hit from the same parent document
+ * and re-render the hit with the surrounding text.
+ */
+async function expandNeighbors(memories, n, fullText, env) {
+  const documents = new Map();
+  for (const memory of memories) {
+    const { entity_name, parent_id } = memory.metadata || {};
+    if (parent_id && !documents.has(`${entity_name}/${parent_id}`)) {
+      documents.set(`${entity_name}/${parent_id}`, listDocumentChunks(entity_name, parent_id, env));
+    }
+  }
+  
+  const wanted = new Map();
+  for (const memory of memories) {
+    const { entity_name, parent_id } = memory.metadata || {};
+    if (!parent_id) {
+      memory.neighbors = [];
+      continue;
+    }
+    
+    const chunks = await documents.get(`${entity_name}/${parent_id}`);
+    const position = chunks.findIndex(c => c.id === memory.id);
+    memory.neighbors = position < 0 ? [] : chunks
+      .slice(Math.max(0, position - n), position + n + 1)
+      .filter(c => c.id !== memory.id);
+    for (const neighbor of memory.neighbors) {
+      wanted.set(neighbor.id, null);
+    }
+  }
+  
+  const vectors = await getVectorsByIds([...wanted.keys()], env);
+  const texts = fullText ? await hydrateTexts(vectors, env) : vectors.map(v => v.metadata?.text_preview);
+  vectors.forEach((v, i) => wanted.set(v.id, texts[i]));
+  
+  for (const memory of memories) {
+    if (memory.neighbors.length === 0) {
+      continue;
+    }
+    
+    memory.neighbors = memory.neighbors
+      .filter(c => wanted.get(c.id) !== null)
+      .map(c => ({ ...c, text: wanted.get(c.id) }));
+    
+    const ordered = [...memory.neighbors, { chunk_index: memory.metadata.chunk_index, text: memory.text }]
+      .sort((a, b) => a.chunk_index - b.chunk_index);
+    memory.expanded_text = joinChunks(ordered.map(c => c.text));
+    memory.formatted = formatAttribution({ metadata: memory.metadata, text: memory.expanded_text });
+  }
+  
+  return memories;
+}
+
+// ============================================================================
+// Lexical Index (R2)
+// ============================================================================
+
+// Inverted index per entity, split into LEXICAL_SHARDS objects by term hash:
+//   lexical/<entity>/shard-<n>.json  { postings: { term: { id: [tf, doc_length] } } }
+//   lexical/<entity>/stats.json      { doc_count, total_length }
+// Shards are read-modify-write, so two concurrent ingests into the same
+// entity can race; the last writer wins for the shards they both touch.
+const LEXICAL_PREFIX = 'lexical/';
+const LEXICAL_SHARDS = 16;
+const LEXICAL_CANDIDATES = 50;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'he', 'her', 'his', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+  'she', 'so', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+// FNV-1a
+function termHash(term) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash = Math.imul(hash ^ term.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function termShard(term) {
+  return termHash(term) % LEXICAL_SHARDS;
+}
+
+function shardKey(entity, shard) {
+  return `${LEXICAL_PREFIX}${entity}/shard-${shard}.json`;
+}
+
+async function readJSON(key, env, fallback) {
+  const object = await env.R2.get(key);
+  return object ? await object.json() : fallback;
+}
+
+async function readLexicalStats(entity, env) {
+  return await readJSON(`${LEXICAL_PREFIX}${entity}/stats.json`, env, { doc_count: 0, total_length: 0 });
+}
+
+/**
+ * Add documents ([{ id, text }]) to an entity's lexical index.
+ */
+async function indexLexical(entity, docs, env) {
+  if (docs.length === 0) {
+    return;
+  }
+  
+  const byShard = new Map();
+  let addedLength = 0;
+  
+  for (const doc of docs) {
+    const terms = tokenize(doc.text);
+    addedLength += terms.length;
+    
+    const counts = new Map();
+    for (const term of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    
+    for (const [term, tf] of counts) {
+      const shard = termShard(term);
+      if (!byShard.has(shard)) {
+        byShard.set(shard, []);
+      }
+      byShard.get(shard).push([term, doc.id, tf, terms.length]);
+    }
+  }
+  
+  await mapConcurrent([...byShard.keys()], R2_FETCH_CONCURRENCY, async (shard) => {
+    const key = shardKey(entity, shard);
+    const data = await readJSON(key, env, { postings: {} });
+    for (const [term, id, tf, length] of byShard.get(shard)) {
+      data.postings[term] = data.postings[term] || {};
+      data.postings[term][id] = [tf, length];
+    }
+    await env.R2.put(key, JSON.stringify(data));
+  });
+  
+  const stats = await readLexicalStats(entity, env);
+  stats.doc_count += docs.length;
+  stats.total_length += addedLength;
+  await env.R2.put(`${LEXICAL_PREFIX}${entity}/stats.json`, JSON.stringify(stats));
+}
+
+/**
+ * Remove ids from an entity's lexical index. Every shard is scanned because
+ * the index does not record which terms a document contained.
+ */
+async function removeLexical(entity, ids, env) {
+  const removing = new Set(ids);
+  const lengths = new Map();
+  
+  await mapConcurrent([...Array(LEXICAL_SHARDS).keys()], R2_FETCH_CONCURRENCY, async (shard) => {
+    const key = shardKey(entity, shard);
+    const data = await readJSON(key, env, null);
+    if (!data) {
+      return;
+    }
+    
+    let changed = false;
+    for (const [term, postings] of Object.entries(data.postings)) {
+      for (const id of Object.keys(postings)) {
+        if (removing.has(id)) {
+          lengths.set(id, postings[id][1]);
+          delete postings[id];
+          changed = true;
+        }
+      }
+      if (Object.keys(postings).length === 0) {
+        delete data.postings[term];
+      }
+    }
+    
+    if (changed) {
+      await env.R2.put(key, JSON.stringify(data));
+    }
+  });
+  
+  if (lengths.size > 0) {
+    const stats = await readLexicalStats(entity, env);
+    stats.doc_count = Math.max(0, stats.doc_count - lengths.size);
+    stats.total_length = Math.max(0, stats.total_length - [...lengths.values()].reduce((a, b) => a + b, 0));
+    await env.R2.put(`${LEXICAL_PREFIX}${entity}/stats.json`, JSON.stringify(stats));
+  }
+}
+
+async function listLexicalEntities(env) {
+  const entities = [];
+  let cursor;
+  
+  do {
+    const page = await env.R2.list({ prefix: LEXICAL_PREFIX, delimiter: '/', cursor });
+    entities.push(...(page.delimitedPrefixes || []).map(p => p.slice(LEXICAL_PREFIX.length, -1)));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  
+  return entities;
+}
+
+/**
+ * BM25 over the lexical index of the given entities (all entities when
+ * entities is null). Returns [{ id, score }] best first.
+ */
+async function keywordSearch(query, entities, env, limit = LEXICAL_CANDIDATES) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    return [];
+  }
+  
+  const targets = entities || await listLexicalEntities(env);
+  const shards = [...new Set(terms.map(termShard))];
+  const scores = new Map();
+  
+  await mapConcurrent(targets, R2_FETCH_CONCURRENCY, async (entity) => {
+    const stats = await readLexicalStats(entity, env);
+    if (stats.doc_count === 0) {
+      return;
+    }
+    const avgLength = stats.total_length / stats.doc_count || 1;
+    
+    const shardData = new Map();
+    for (const shard of shards) {
+      shardData.set(shard, await readJSON(shardKey(entity, shard), env, { postings: {} }));
+    }
+    
+    for (const term of terms) {
+      const postings = shardData.get(termShard(term)).postings[term];
+      if (!postings) {
+        continue;
+      }
+      
+      const df = Object.keys(postings).length;
+      const idf = Math.log(1 + (stats.doc_count - df + 0.5) / (df + 0.5));
+      
+      for (const [id, [tf, length]] of Object.entries(postings)) {
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength);
+        scores.set(id, (scores.get(id) || 0) + idf * (tf * (BM25_K1 + 1)) / norm);
+      }
+    }
+  });
+  
+  return [...scores.entries()]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// ============================================================================
+// Stats Counters (KV)
+// ============================================================================
+
+// Maintained incrementally by every write path. KV read-modify-write is not
+// atomic, so concurrent writers can drop an update - recompute_stats rebuilds
+// the counters from the R2 memory index when they drift.
+const STATS_KEY = 'unified-mind:stats';
+
+function emptyStats() {
+  return { vector_count: 0, r2_bytes: 0, embedding_calls: 0, entities: {} };
+}
+
+function entityStats(stats, entity) {
+  if (!stats.entities[entity]) {
+    stats.entities[entity] = { vectors: 0, by_type: {}, by_platform: {}, r2_bytes: 0, last_ingest: null };
+  }
+  return stats.entities[entity];
+}
+
+function bump(counts, key, delta) {
+  const name = key || 'unknown';
+  counts[name] = (counts[name] || 0) + delta;
+  if (counts[name] <= 0) {
+    delete counts[name];
+  }
+}
+
+/**
+ * Count one memory in (sign = 1) or out of (sign = -1) the stats.
+ * metadata can be vector metadata or a memory index entry.
+ */
+function countMemory(stats, metadata, sign) {
+  const bytes = Number(metadata.r2_bytes) || 0;
+  const entity = entityStats(stats, metadata.entity_name || 'unknown');
+  
+  entity.vectors = Math.max(0, entity.vectors + sign);
+  entity.r2_bytes = Math.max(0, entity.r2_bytes + sign * bytes);
+  bump(entity.by_type, metadata.memory_type, sign);
+  bump(entity.by_platform, metadata.source_platform, sign);
+  
+  stats.vector_count = Math.max(0, stats.vector_count + sign);
+  stats.r2_bytes = Math.max(0, stats.r2_bytes + sign * bytes);
+}
+
+async function updateStats(env, mutate) {
+  try {
+    const stats = (await env.CACHE.get(STATS_KEY, 'json')) || emptyStats();
+    mutate(stats);
+    stats.last_updated = new Date().toISOString();
+    await env.CACHE.put(STATS_KEY, JSON.stringify(stats));
+  } catch (e) {
+    // Stats are best-effort - never fail a write because of them
+  }
+}
+
+async function recordIngest(env, entity, memories, embeddings) {
+  if (memories.length === 0 && embeddings === 0) {
+    return;
+  }
+  
+  await updateStats(env, stats => {
+    for (const metadata of memories) {
+      countMemory(stats, metadata, 1);
+    }
+    stats.embedding_calls += embeddings;
+    if (memories.length > 0) {
+      entityStats(stats, entity).last_ingest = new Date().toISOString();
+    }
+  });
+}
+
+// ============================================================================
+// Importance, Pins & Access Counts
+// ============================================================================
+
+// importance (0-1) lives in vector metadata, set by the caller or estimated
+// at write time. Pins and access counts change far more often than memories
+// do, so they are kept in KV instead of re-upserting vectors: pins as one list
+// per entity, access counts as one key per memory
+// (unified-mind:access:<entity>:<id>) so reads of different memories never
+// overwrite each other's counts. Every count write renews the key's TTL, so
+// a memory nobody has read for ACCESS_TTL_DAYS drops back to zero and its
+// key expires instead of piling up.
+const PINS_PREFIX = 'unified-mind:pins:';
+const ACCESS_PREFIX = 'unified-mind:access:';
+const ACCESS_TTL_DAYS = 180;
+const KV_CONCURRENCY = 8;
+
+const IMPORTANCE_BY_TYPE = { reflection: 0.6, journal: 0.5, note: 0.5, document: 0.4, conversation: 0.3 };
+const SALIENT_RE = /\b(important|remember|never forget|always|promised?|decided|decision|deadline|birthday|anniversary)\b/i;
+const COMMITMENT_RE = /\b(I|we) (will|won't|must|need to|agreed)\b/i;
+
+/**
+ * Heuristic importance for memories stored without one: a base per
+ * memory_type, raised when the text flags itself as worth keeping.
+ */
+function estimateImportance(text, memoryType) {
+  let importance = IMPORTANCE_BY_TYPE[memoryType] ?? 0.4;
+  if (SALIENT_RE.test(text || '')) {
+    importance += 0.2;
+  }
+  if (COMMITMENT_RE.test(text || '')) {
+    importance += 0.1;
+  }
+  return Math.min(1, Math.round(importance * 100) / 100);
+}
+
+function resolveImportance(value, text, memoryType) {
+  if (value === undefined || value === null) {
+    return estimateImportance(text, memoryType);
+  }
+  const importance = Number(value);
+  if (!Number.isFinite(importance) || importance < 0 || importance > 1) {
+    throw new ValidationError(`importance must be a number between 0 and 1, got ${value}`);
+  }
+  return importance;
+}
+
+async function loadPins(entity, env) {
+  return (await env.CACHE.get(PINS_PREFIX + entity, 'json')) || [];
+}
+
+async function setPinned(entity, id, pinned, env) {
+  const pins = new Set(await loadPins(entity, env));
+  if (pinned) {
+    pins.add(id);
+  } else {
+    pins.delete(id);
+  }
+  await env.CACHE.put(PINS_PREFIX + entity, JSON.stringify([...pins]));
+}
+
+function accessKey(entity, id) {
+  return `${ACCESS_PREFIX}${entity}:${id}`;
+}
+
+/**
+ * { id: { count, last_accessed } } for the given memories; memories never
+ * read (or not read within the TTL) are left out.
+ */
+async function loadAccessCounts(memories, env) {
+  const counts = {};
+  await mapConcurrent(memories, KV_CONCURRENCY, async (memory) => {
+    const entity = memory.metadata?.entity_name || memory.entity_name;
+    const access = await env.CACHE.get(accessKey(entity, memory.id), 'json').catch(() => null);
+    if (access) {
+      counts[memory.id] = access;
+    }
+  });
+  return counts;
+}
+
+function groupIdsByEntity(memories) {
+  const groups = new Map();
+  for (const memory of memories) {
+    const entity = memory.metadata?.entity_name || memory.entity_name;
+    if (!groups.has(entity)) {
+      groups.set(entity, []);
+    }
+    groups.get(entity).push(memory.id);
+  }
+  return groups;
+}
+
+/**
+ * Count a retrieval of each memory. Best-effort like the stats counters, and
+ * run after the response through ctx.waitUntil when there is a request
+ * context, so reads never wait on the writes.
+ */
+async function recordAccess(memories, env, ctx) {
+  const now = new Date().toISOString();
+  const unique = [...new Map(memories.map(m => [m.id, m])).values()];
+  
+  const writes = mapConcurrent(unique, KV_CONCURRENCY, async (memory) => {
+    try {
+      const key = accessKey(memory.metadata?.entity_name || memory.entity_name, memory.id);
+      const previous = await env.CACHE.get(key, 'json');
+      await env.CACHE.put(key, JSON.stringify({ count: (previous?.count || 0) + 1, last_accessed: now }), {
+        expirationTtl: ACCESS_TTL_DAYS * 86400
+      });
+    } catch (e) {
+      // Never fail a read because of access bookkeeping
+    }
+  });
+  
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(writes);
+  } else {
+    await writes;
+  }
+}
+
+/**
+ * Drop pins and access counts of deleted memories.
+ */
+async function forgetMemoryState(records, env) {
+  for (const [entity, ids] of groupIdsByEntity(records)) {
+    const pins = await loadPins(entity, env);
+    if (ids.some(id => pins.includes(id))) {
+      await env.CACHE.put(PINS_PREFIX + entity, JSON.stringify(pins.filter(id => !ids.includes(id))));
+    }
+    
+    await mapConcurrent(ids, KV_CONCURRENCY, id => env.CACHE.delete(accessKey(entity, id)).catch(() => {}));
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Same shape as config.json: { entities, platforms, memoryTypes, ... }.
+// Read from the KV key below if present, else the UNIFIED_MIND_CONFIG var.
+// A missing list means any value is accepted.
+const CONFIG_KEY = 'unified-mind:config';
+const CONFIG_LISTS = { entity_name: 'entities', source_platform: 'platforms', memory_type: 'memoryTypes' };
+
+async function loadConfig(env) {
+  const stored = await env.CACHE.get(CONFIG_KEY);
+  const raw = stored || env.UNIFIED_MIND_CONFIG;
+  if (!raw) {
+    return {};
+  }
+  
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid config in ${stored ? `KV ${CONFIG_KEY}` : 'UNIFIED_MIND_CONFIG'}: ${e.message}`);
+  }
+  
+  for (const list of Object.values(CONFIG_LISTS)) {
+    if (config[list] !== undefined && !Array.isArray(config[list])) {
+      throw new Error(`Invalid config: ${list} must be an array`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Reject entity / platform / memory type values the config doesn't list.
+ * values are what will be stored, after defaults; with partial (a patch or an
+ * archived record) fields missing from values are not checked.
+ */
+function validateMemoryFields(values, config, partial = false) {
+  for (const [field, list] of Object.entries(CONFIG_LISTS)) {
+    const allowed = config[list];
+    if (!allowed || (partial && values[field] === undefined)) {
+      continue;
+    }
+    if (field === 'source_platform' && values[field] === REFLECTION_PLATFORM) {
+      // Built in: the platform consolidate writes reflections under
+      continue;
+    }
+    if (values[field] === undefined) {
+      throw new ValidationError(`${field} is required (configured: ${allowed.join(', ')})`);
+    }
+    if (!allowed.includes(values[field])) {
+      throw new ValidationError(`Unknown ${field} "${values[field]}" (configured: ${allowed.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Tool definitions with the configured values as enums. Entity enums are
+ * narrowed to the entities the caller's token can use.
+ */
+function configuredTools(tools, config, auth) {
+  let entities = config.entities;
+  if (entities && !auth.entities.includes('*')) {
+    entities = entities.filter(entity => auth.entities.includes(entity));
+  }
+  
+  const enums = {
+    entity: entities && [...entities, 'all'],
+    entity_name: entities,
+    requesting_entity: entities,
+    source_platform: config.platforms,
+    memory_type: config.memoryTypes
+  };
+  
+  return tools.map(tool => {
+    const properties = { ...tool.inputSchema.properties };
+    for (const [name, values] of Object.entries(enums)) {
+      if (values && properties[name]) {
+        properties[name] = { ...properties[name], enum: values };
+      }
+    }
+    if (entities && properties.entities) {
+      properties.entities = { ...properties.entities, items: { type: 'string', enum: entities } };
+    }
+    return { ...tool, inputSchema: { ...tool.inputSchema, properties } };
+  });
+}
+
+// ============================================================================
+// Authentication & Access Control
+// ============================================================================
+
+const TOKEN_PREFIX = 'unified-mind:token:';
+
+const ACCESS_LEVELS = { read: 1, write: 2, admin: 3 };
+
+// Minimum access level required for each tool
+const TOOL_ACCESS = {
+  search: 'read',
+  get_grounding_context: 'read',
+  stats: 'read',
+  ingest: 'write',
+  store: 'write',
+  delete: 'write',
+  forget_source: 'write',
+  purge_entity: 'admin',
+  update: 'write',
+  patch_metadata: 'write',
+  history: 'read',
+  get_memory: 'read',
+  get_document: 'read',
+  export: 'read',
+  import: 'write',
+  recompute_stats: 'admin',
+  backfill_index: 'admin',
+  reembed: 'admin',
+  consolidate: 'write',
+  pin: 'write',
+  facets: 'read'
+};
+
+const ANONYMOUS_GRANT = { name: 'anonymous', entities: ['*'], access: 'admin' };
+
+class MCPError extends Error {
+  constructor(code, message, status = 200) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// A tool failure about a missing memory or document. Reported like any other
+// tool error over MCP; the REST routes answer it with a 404.
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+// Invalid arguments to a tool. The REST routes answer it with a 400 and any
+// other plain Error with a 500.
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+/**
+ * Resolve the bearer token on a request to an access grant:
+ *   { name, entities: ['mind-1'] | ['*'], access: 'read' | 'write' | 'admin', tools?: [...] }
+ *
+ * Grants are looked up in the AUTH_TOKENS secret (JSON map of token -> grant)
+ * first, then in KV under unified-mind:token:<sha256(token)>.
+ */
+async function authenticate(request, env) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  
+  if (!match) {
+    if (env.ALLOW_ANONYMOUS === 'true') {
+      return ANONYMOUS_GRANT;
+    }
+    throw new MCPError(-32001, 'Missing bearer token', 401);
+  }
+  
+  const token = match[1].trim();
+  
+  if (env.AUTH_TOKENS) {
+    const tokens = JSON.parse(env.AUTH_TOKENS);
+    if (Object.hasOwn(tokens, token)) {
+      return normalizeGrant(tokens[token]);
+    }
+  }
+  
+  const grant = await env.CACHE.get(TOKEN_PREFIX + await hashContent(token), 'json');
+  if (grant) {
+    return normalizeGrant(grant);
+  }
+  
+  throw new MCPError(-32001, 'Invalid bearer token', 401);
+}
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * A grant needs a known access level, and entities / tools (when given) must
+ * be arrays of strings - a bare string would make includes() a substring match.
+ */
+function normalizeGrant(grant) {
+  if (grant === null || typeof grant !== 'object' || Array.isArray(grant) || !Object.hasOwn(ACCESS_LEVELS, grant.access) ||
+      (grant.entities != null && !isStringList(grant.entities)) || (grant.tools != null && !isStringList(grant.tools))) {
+    throw new MCPError(-32001, 'Invalid bearer token', 401);
+  }
+  
+  return {
+    name: grant.name || 'token',
+    entities: grant.entities || [],
+    access: grant.access,
+    tools: grant.tools || null
+  };
+}
+
+function canUseTool(auth, name) {
+  const required = TOOL_ACCESS[name];
+  if (!required) {
+    return false;
+  }
+  if (auth.tools && !auth.tools.includes(name)) {
+    return false;
+  }
+  return ACCESS_LEVELS[auth.access] >= ACCESS_LEVELS[required];
+}
+
+function canAccessEntity(auth, entity) {
+  return auth.entities.includes('*') || auth.entities.includes(entity);
+}
+
+function assertEntityAccess(auth, entity) {
+  if (!canAccessEntity(auth, entity)) {
+    throw new MCPError(-32003, `Token "${auth.name}" has no access to entity: ${entity}`);
+  }
+}
+
+/**
+ * Check a tool call against the caller's grant. Returns the arguments to run
+ * the tool with - searches across "all" entities are narrowed to the
+ * entities the token may see.
+ */
+function authorizeToolCall(name, args, auth) {
+  if (!TOOL_ACCESS[name]) {
+    throw new MCPError(-32602, `Unknown tool: ${name}`);
+  }
+  if (!canUseTool(auth, name)) {
+    throw new MCPError(-32003, `Token "${auth.name}" is not allowed to call tool: ${name}`);
+  }
+  
+  const scoped = { ...args };
+  
+  if (scoped.entity_name !== undefined || name === 'ingest' || name === 'store') {
+    assertEntityAccess(auth, scoped.entity_name);
+  } else if ((TOOL_ACCESS[name] === 'admin' || name === 'export') && !auth.entities.includes('*')) {
+    throw new MCPError(-32003, `Tool ${name} across all entities needs a token with access to every entity`);
+  }
+  
+  if (scoped.requesting_entity !== undefined) {
+    assertEntityAccess(auth, scoped.requesting_entity);
+  }
+  
+  if (name === 'search' || name === 'get_grounding_context' || name === 'stats') {
+    if (Array.isArray(scoped.entities) && scoped.entities.length > 0) {
+      scoped.entities.forEach(entity => assertEntityAccess(auth, entity));
+      scoped.entity = scoped.entities;
+      delete scoped.entities;
+    } else if (!scoped.entity || scoped.entity === 'all') {
+      if (!auth.entities.includes('*')) {
+        scoped.entity = auth.entities;
+      }
+    } else {
+      assertEntityAccess(auth, scoped.entity);
+    }
+  }
+  
+  return scoped;
+}
+
+// ============================================================================
+// Vectorize Helpers
+// ============================================================================
+
+const VECTORIZE_GET_BATCH = 20;
+
+async function getVectorsByIds(ids, env) {
+  const vectors = [];
+  for (const batch of batches(ids, VECTORIZE_GET_BATCH)) {
+    vectors.push(...await env.VECTORIZE.getByIds(batch));
+  }
+  return vectors;
+}
+
+// ============================================================================
+// MCP Protocol Handler
+// ============================================================================
+
+// Newest first; the first entry is offered when a client asks for a version
+// we don't speak.
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SESSION_PREFIX = 'unified-mind:session:';
+const SESSION_TTL = 86400;
+
+const SERVER_INFO = {
+  name: 'unified-mind',
+  version: '1.0.0',
+  description: 'Multi-entity vector memory with source attribution'
+};
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+async function loadSession(sessionId, env) {
+  return await env.CACHE.get(SESSION_PREFIX + sessionId, 'json');
+}
+
+/**
+ * Handle one JSON-RPC message. Returns the response, or null for
+ * notifications and for responses sent by the client.
+ */
+async function handleMCPMessage(message, env, auth, context) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return rpcError(null, -32600, 'Invalid Request');
+  }
+  
+  const { jsonrpc, method, id } = message;
+  const params = message.params ?? {};
+  const isNotification = id === undefined;
+  
+  if (method === undefined && ('result' in message || 'error' in message)) {
+    return null;
+  }
+  if (jsonrpc !== '2.0' || typeof method !== 'string') {
+    return isNotification ? null : rpcError(id, -32600, 'Invalid Request');
+  }
+  
+  if (isNotification) {
+    // notifications/initialized, notifications/cancelled, ... need no reply
+    return null;
+  }
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return rpcError(id, -32602, 'Invalid params: params must be an object');
+  }
+  
+  try {
+    switch (method) {
+      case 'initialize': {
+        if (context.batch) {
+          return rpcError(id, -32600, 'initialize must not be sent in a batch');
+        }
+        
+        const requested = params.protocolVersion;
+        const protocolVersion = PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0];
+        const sessionId = crypto.randomUUID();
+        await env.CACHE.put(SESSION_PREFIX + sessionId, JSON.stringify({
+          protocol_version: protocolVersion,
+          token: auth.name,
+          client: params.clientInfo || null,
+          created_at: new Date().toISOString()
+        }), { expirationTtl: SESSION_TTL });
+        context.sessionId = sessionId;
+        
+        return rpcResult(id, {
+          protocolVersion,
+          capabilities: {
+            tools: { listChanged: false },
+            resources: { listChanged: false, subscribe: false },
+            prompts: { listChanged: false }
+          },
+          serverInfo: SERVER_INFO
+        });
+      }
+      
+      case 'ping':
+        return rpcResult(id, {});
+        
+      case 'resources/list':
+        return rpcResult(id, await listResources(params.cursor, env, auth));
+        
+      case 'resources/templates/list':
+        return rpcResult(id, { resourceTemplates: canUseTool(auth, 'search') ? RESOURCE_TEMPLATES : [] });
+        
+      case 'resources/read':
+        return rpcResult(id, await readResource(params.uri, env, auth));
+        
+      case 'prompts/list':
+        return rpcResult(id, { prompts: canUseTool(auth, 'get_grounding_context') ? MCP_PROMPTS : [] });
+        
+      case 'prompts/get':
+        return rpcResult(id, await getPrompt(params.name, params.arguments || {}, env, auth, context.ctx));
+        
+      case 'tools/list':
+        return rpcResult(id, {
+          tools: configuredTools(MCP_TOOLS.filter(tool => canUseTool(auth, tool.name)), await loadConfig(env), auth)
+        });
+        
+      case 'tools/call': {
+        const { name, arguments: args } = params;
+        if (typeof name !== 'string' || !name) {
+          return rpcError(id, -32602, 'Invalid params: name is required');
+        }
+        if (args != null && (typeof args !== 'object' || Array.isArray(args))) {
+          return rpcError(id, -32602, 'Invalid params: arguments must be an object');
+        }
+        try {
+          const result = await executeTool(name, args || {}, env, auth, context.ctx);
+          return rpcResult(id, { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] });
+        } catch (error) {
+          // Protocol problems (unknown tool, access denied) are JSON-RPC errors;
+          // a tool that ran and failed reports it in the result for the model to see
+          if (error instanceof MCPError) {
+            return rpcError(id, error.code, error.message);
+          }
+          return rpcResult(id, { content: [{ type: 'text', text: error.message }], isError: true });
+        }
+      }
+        
+      default:
+        return rpcError(id, -32601, `Unknown method: ${method}`);
+    }
+  } catch (error) {
+    return rpcError(id, error.code || -32603, error.message);
+  }
+}
+
+/**
+ * Streamable HTTP transport: POST carries one message or a batch. Requests
+ * get JSON (or an SSE stream if the client only accepts that); bodies with
+ * only notifications or responses get 202.
+ */
+async function handleMCPPost(request, env, auth, headers, ctx) {
+  const protocolHeader = request.headers.get('MCP-Protocol-Version');
+  if (protocolHeader && !PROTOCOL_VERSIONS.includes(protocolHeader)) {
+    throw new MCPError(-32600, `Unsupported MCP-Protocol-Version: ${protocolHeader}`, 400);
+  }
+  
+  const sessionId = request.headers.get('Mcp-Session-Id');
+  if (sessionId) {
+    const session = await loadSession(sessionId, env);
+    if (!session || session.token !== auth.name) {
+      throw new MCPError(-32001, 'Session not found - initialize a new session', 404);
+    }
+  }
+  
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    throw new MCPError(-32700, 'Parse error', 400);
+  }
+  
+  const batch = Array.isArray(body);
+  if (batch && body.length === 0) {
+    throw new MCPError(-32600, 'Invalid Request: empty batch', 400);
+  }
+  
+  const context = { batch, sessionId: null, ctx };
+  const responses = [];
+  for (const message of batch ? body : [body]) {
+    const response = await handleMCPMessage(message, env, auth, context);
+    if (response) {
+      responses.push(response);
+    }
+  }
+  
+  if (context.sessionId) {
+    headers = { ...headers, 'Mcp-Session-Id': context.sessionId };
+  }
+  
+  if (responses.length === 0) {
+    return new Response(null, { status: 202, headers });
+  }
+  
+  const accept = request.headers.get('Accept') || '';
+  if (accept.includes('text/event-stream') && !accept.includes('application/json')) {
+    const events = responses.map(response => `event: message\ndata: ${JSON.stringify(response)}\n\n`).join('');
+    return new Response(events, {
+      headers: { ...headers, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' }
+    });
+  }
+  
+  return new Response(JSON.stringify(batch ? responses : responses[0]), {
+    headers: { ...headers, 'Content-Type': 'application/json' }
+  });
+}
+
+async function handleMCPDelete(request, env, auth, headers) {
+  const sessionId = request.headers.get('Mcp-Session-Id');
+  if (!sessionId) {
+    throw new MCPError(-32600, 'Mcp-Session-Id header is required', 400);
+  }
+  
+  const session = await loadSession(sessionId, env);
+  if (!session || session.token !== auth.name) {
+    throw new MCPError(-32001, 'Session not found', 404);
+  }
+  
+  await env.CACHE.delete(SESSION_PREFIX + sessionId);
+  return new Response(null, { status: 204, headers });
+}
+
+// ============================================================================
+// MCP Resources & Prompts
+// ============================================================================
+
+// Memories are readable as resources, for clients that attach context
+// rather than call tools:
+//   mind://<entity>/<memory_id>   one memory with its attribution header
+//   mind://<entity>/recent        the entity's latest memories, oldest first
+// Resources need the same access as the search tool.
+const RESOURCE_SCHEME = 'mind://';
+const RESOURCE_PAGE = 100;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'mind://{entity}/{memory_id}',
+    name: 'memory',
+    description: 'A single memory with its source attribution',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'mind://{entity}/recent',
+    name: 'recent',
+    description: "An entity's most recent memories, oldest first",
+    mimeType: 'text/plain'
+  }
+];
+
+const MCP_PROMPTS = [
+  {
+    name: 'ground',
+    title: 'Ground me on a topic',
+    description: 'Relevant memories about a topic, with source attribution, to start a session from',
+    arguments: [
+      { name: 'topic', description: 'What you need context about, or "recent"', required: true },
+      { name: 'entity', description: 'Whose memories to use (default: all you can read)', required: false },
+      { name: 'max_tokens', description: 'Approximate token budget (default 2000)', required: false }
+    ]
+  }
+];
+
+function parseResourceUri(uri) {
+  const match = typeof uri === 'string' && uri.startsWith(RESOURCE_SCHEME)
+    ? uri.slice(RESOURCE_SCHEME.length).match(/^([^/]+)\/([^/]+)$/)
+    : null;
+  if (!match) {
+    throw new MCPError(-32602, `Invalid resource URI: ${uri} (expected mind://<entity>/<memory_id> or mind://<entity>/recent)`);
+  }
+  try {
+    return { entity: decodeURIComponent(match[1]), name: decodeURIComponent(match[2]) };
+  } catch (e) {
+    throw new MCPError(-32602, `Invalid resource URI: ${uri} (malformed percent-encoding)`);
+  }
+}
+
+// resources/list cursor: which of the token's entity prefixes is being
+// listed, the R2 list cursor within it, and the last entity listed (so its
+// recent resource isn't repeated on the next page)
+function encodeResourceCursor(position) {
+  return btoa(JSON.stringify(position));
+}
+
+function decodeResourceCursor(cursor) {
+  try {
+    const position = JSON.parse(atob(cursor));
+    if (Number.isInteger(position.prefix) && position.prefix >= 0 &&
+        (position.r2 === null || typeof position.r2 === 'string')) {
+      return position;
+    }
+  } catch (e) {
+    // Fall through to the error below
+  }
+  throw new MCPError(-32602, 'Invalid cursor');
+}
+
+/**
+ * One page of resources per R2 list page of the memory index, in index key
+ * order (entity, then id). Entity-scoped tokens walk their own entities'
+ * prefixes one after another instead of filtering the whole index.
+ */
+async function listResources(cursor, env, auth) {
+  if (!canUseTool(auth, 'search')) {
+    return { resources: [] };
+  }
+  
+  const prefixes = auth.entities.includes('*') ? [null] : [...auth.entities].sort();
+  const position = cursor ? decodeResourceCursor(cursor) : { prefix: 0, r2: null, entity: null };
+  if (position.prefix >= prefixes.length) {
+    return { resources: [] };
+  }
+  
+  const page = await listMemoryIndexPage(env, prefixes[position.prefix], position.r2 || undefined, RESOURCE_PAGE);
+  const resources = [];
+  let last = position.entity;
+  for (const entry of page.entries) {
+    const entity = entry.entity_name;
+    if (entity !== last) {
+      resources.push({
+        uri: `${RESOURCE_SCHEME}${encodeURIComponent(entity)}/recent`,
+        name: `${entity}: recent memories`,
+        mimeType: 'text/plain'
+      });
+      last = entity;
+    }
+    resources.push({
+      uri: `${RESOURCE_SCHEME}${encodeURIComponent(entity)}/${entry.id}`,
+      name: `${entity}: ${entry.memory_type || 'memory'} from ${entry.source_platform || 'unknown'} (${entry.timestamp || 'undated'})`,
+      mimeType: 'text/plain'
+    });
+  }
+  
+  let next = null;
+  if (page.cursor) {
+    next = { prefix: position.prefix, r2: page.cursor, entity: last };
+  } else if (position.prefix + 1 < prefixes.length) {
+    next = { prefix: position.prefix + 1, r2: null, entity: last };
+  }
+  
+  return {
+    resources,
+    ...(next ? { nextCursor: encodeResourceCursor(next) } : {})
+  };
+}
+
+async function readResource(uri, env, auth) {
+  const { entity, name } = parseResourceUri(uri);
+  
+  if (!canUseTool(auth, 'search')) {
+    throw new MCPError(-32003, `Token "${auth.name}" is not allowed to read memories`);
+  }
+  assertEntityAccess(auth, entity);
+  
+  let text;
+  if (name === 'recent') {
+    const memories = await recentMemories(entity, RECENT_PER_ENTITY, env);
+    memories.sort((a, b) => memoryTimeMs(a.metadata) - memoryTimeMs(b.metadata));
+    text = memories.map(m => m.formatted).join('\n');
+  } else {
+    const [vector] = await env.VECTORIZE.getByIds([name]);
+    if (!vector || vector.metadata?.entity_name !== entity) {
+      throw new MCPError(-32002, `Resource not found: ${uri}`, 404);
+    }
+    text = formatAttribution({ metadata: vector.metadata, text: await memoryText(vector.metadata, env) });
+  }
+  
+  return { contents: [{ uri, mimeType: 'text/plain', text }] };
+}
+
+async function getPrompt(name, args, env, auth, ctx) {
+  if (name !== 'ground') {
+    throw new MCPError(-32602, `Unknown prompt: ${name}`);
+  }
+  if (!args.topic) {
+    throw new MCPError(-32602, 'Missing required argument: topic');
+  }
+  
+  // Prompt arguments arrive as strings
+  const grounding = await executeTool('get_grounding_context', {
+    topic: args.topic,
+    ...(args.entity ? { entity: args.entity } : {}),
+    ...(args.max_tokens ? { max_tokens: parseInt(args.max_tokens) || 2000 } : {})
+  }, env, auth, ctx);
+  
+  return {
+    description: `Grounding context for "${args.topic}" (${grounding.memories_included} memories)`,
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `Here is what is in memory about "${args.topic}". Each memory is labelled with whose ` +
+          `it is and where it came from - keep those sources distinct when you use them.\n\n${grounding.context}`
+      }
+    }]
+  };
+}
+
+// ============================================================================
+// Tool Execution
+// ============================================================================
+
+async function executeTool(name, rawArgs, env, auth, ctx) {
+  const args = authorizeToolCall(name, rawArgs, auth);
+  
+  if (name === 'ingest' || name === 'store') {
+    const platform = args.source_platform ?? (name === 'store' ? STORE_DEFAULT_PLATFORM : undefined);
+    validateMemoryFields({ ...args, source_platform: platform }, await loadConfig(env));
+  }
+  if (name === 'patch_metadata') {
+    validateMemoryFields(args, await loadConfig(env), true);
+  }
+  if (name === 'ingest' || name === 'store' || name === 'update') {
+    assertUserMetadata(args.metadata);
+  }
+  if (name === 'import') {
+    const config = await loadConfig(env);
+    for (const record of args.records || []) {
+      validateMemoryFields(record.metadata || {}, config, true);
+    }
+  }
+  
+  switch (name) {
+    case 'search':
+      return await toolSearch(args, env, { ctx });
+    case 'get_grounding_context':
+      return await toolGetGroundingContext(args, env, ctx);
+    case 'ingest':
+      return await toolIngest(args, env);
+    case 'store':
+      return await toolStore(args, env);
+    case 'stats':
+      return await toolStats(args, env, auth);
+    case 'recompute_stats':
+      return await toolRecomputeStats(env);
+    case 'backfill_index':
+      return await toolBackfillIndex(args, env);
+    case 'reembed':
+      return await toolReembed(args, env);
+    case 'delete':
+      return await toolDelete(args, env, auth);
+    case 'forget_source':
+      return await toolForgetSource(args, env);
+    case 'purge_entity':
+      return await toolPurgeEntity(args, env);
+    case 'update':
+      return await toolUpdate(args, env, auth);
+    case 'patch_metadata':
+      return await toolPatchMetadata(args, env, auth);
+    case 'history':
+      return await toolHistory(args, env, auth);
+    case 'get_memory':
+      return await toolGetMemory(args, env, auth, ctx);
+    case 'get_document':
+      return await toolGetDocument(args, env, auth);
+    case 'export':
+      return await toolExport(args, env);
+    case 'import':
+      return await toolImport(args, env, auth);
+    case 'consolidate':
+      return await toolConsolidate(args, env);
+    case 'pin':
+      return await toolPin(args, env, auth);
+    case 'facets':
+      return await toolFacets(args, env);
+    default:
+      throw new Error(`Unknown tool: ${name}`);
+  }
+}
+
+// ============================================================================
+// Tool: Search
+// ============================================================================
+
+const SEARCH_MODES = ['semantic', 'keyword', 'hybrid'];
+const RRF_K = 60;
+
+function buildSearchFilter({ entity, memory_type, source_platform, since, until, tags, filter: extra }) {
+  const filter = {};
+  if (Array.isArray(entity)) {
+    filter.entity_name = { $in: entity };
+  } else if (entity && entity !== 'all') {
+    filter.entity_name = entity;
+  }
+  if (memory_type) {
+    filter.memory_type = memory_type;
+  }
+  if (source_platform) {
+    filter.source_platform = source_platform;
+  }
+  if (since !== undefined || until !== undefined) {
+    filter.timestamp_ms = {};
+    if (since !== undefined) {
+      filter.timestamp_ms.$gte = parseDateArg('since', since);
+    }
+    if (until !== undefined) {
+      filter.timestamp_ms.$lte = parseDateArg('until', until);
+    }
+  }
+  
+  const requiredTags = normalizeTags(tags);
+  if (requiredTags?.length) {
+    filter.tags = { $all: requiredTags };
+  }
+  
+  for (const [field, condition] of Object.entries(validateFilter(extra))) {
+    if (field in filter) {
+      throw new ValidationError(`filter.${field} conflicts with the ${field === 'timestamp_ms' ? 'since / until' : field} argument`);
+    }
+    filter[field] = condition;
+  }
+  return filter;
+}
+
+function parseDateArg(name, value) {
+  const ms = toEpochMs(value);
+  if (ms === undefined) {
+    throw new ValidationError(`${name} must be an ISO 8601 date: ${value}`);
+  }
+  return ms;
+}
+
+/**
+ * Evaluate a Vectorize-style metadata filter in the Worker, for candidates
+ * that did not come out of a filtered Vectorize query. On array fields
+ * (tags) $eq / $in match any element, $ne / $nin no element, and $all needs
+ * every operand.
+ */
+const FILTER_OPERATORS = {
+  $eq: (value, operand) => value === operand,
+  $ne: (value, operand) => value !== operand,
+  $in: (value, operand) => operand.includes(value),
+  $nin: (value, operand) => !operand.includes(value),
+  $lt: (value, operand) => value !== undefined && value < operand,
+  $lte: (value, operand) => value !== undefined && value <= operand,
+  $gt: (value, operand) => value !== undefined && value > operand,
+  $gte: (value, operand) => value !== undefined && value >= operand,
+  $all: (value, operand) => Array.isArray(value) && operand.every(item => value.includes(item))
+};
+const NEGATED_OPERATORS = ['$ne', '$nin'];
+const LIST_OPERATORS = ['$in', '$nin', '$all'];
+
+// Metadata indexes created by `npm run create-metadata-indexes`; more can be
+// declared in METADATA_INDEXES once created with wrangler
+const INDEXED_FIELDS = ['entity_name', 'memory_type', 'source_platform', 'timestamp_ms'];
+const FILTER_FIELD_RE = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+function testCondition(value, op, operand) {
+  const test = FILTER_OPERATORS[op];
+  if (!Array.isArray(value) || op === '$all') {
+    return test(value, operand);
+  }
+  return NEGATED_OPERATORS.includes(op)
+    ? value.every(item => test(item, operand))
+    : value.some(item => test(item, operand));
+}
+
+function matchesFilter(metadata, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = metadata?.[field];
+    if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+      return Object.entries(condition).every(([op, operand]) => FILTER_OPERATORS[op] && testCondition(value, op, operand));
+    }
+    return testCondition(value, '$eq', condition);
+  });
+}
+
+/**
+ * Check a caller's metadata filter: { field: value | { $op: operand } }.
+ * entity_name is left to entity / entities, which access checks scope.
+ */
+function validateFilter(filter) {
+  if (filter === undefined || filter === null) {
+    return {};
+  }
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new ValidationError('filter must be an object of { field: value | { $op: operand } }');
+  }
+  
+  const isScalar = value => ['string', 'number', 'boolean'].includes(typeof value);
+  for (const [field, condition] of Object.entries(filter)) {
+    if (!FILTER_FIELD_RE.test(field)) {
+      throw new ValidationError(`Invalid filter field: ${field}`);
+    }
+    if (field === 'entity_name') {
+      throw new ValidationError('Filter entities with entity / entities, not filter.entity_name');
+    }
+    if (isScalar(condition)) {
+      continue;
+    }
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      throw new ValidationError(`filter.${field} must be a value or an operator object`);
+    }
+    for (const [op, operand] of Object.entries(condition)) {
+      if (!FILTER_OPERATORS[op]) {
+        throw new ValidationError(`Unknown filter operator ${op} (expected ${Object.keys(FILTER_OPERATORS).join(', ')})`);
+      }
+      const valid = LIST_OPERATORS.includes(op)
+        ? Array.isArray(operand) && operand.length > 0 && operand.every(isScalar)
+        : isScalar(operand);
+      if (!valid) {
+        throw new ValidationError(`filter.${field}.${op} needs ${LIST_OPERATORS.includes(op) ? 'a non-empty array' : 'a value'}`);
+      }
+    }
+  }
+  return filter;
+}
+
+/**
+ * Split a filter into the part Vectorize can apply (conditions on indexed
+ * fields) and the rest, which is checked in the Worker after retrieval.
+ */
+function splitFilter(filter, env) {
+  const indexed = new Set([
+    ...INDEXED_FIELDS,
+    ...(env.METADATA_INDEXES || '').split(',').map(field => field.trim()).filter(Boolean)
+  ]);
+  const vectorize = {};
+  const post = {};
+  
+  for (const [field, condition] of Object.entries(filter)) {
+    const ops = condition !== null && typeof condition === 'object' ? Object.keys(condition) : [];
+    if (indexed.has(field) && !ops.includes('$all')) {
+      vectorize[field] = condition;
+    } else {
+      post[field] = condition;
+    }
+  }
+  return { vectorize, post };
+}
+
+const RANKING_SIGNALS = ['similarity', 'importance', 'recency', 'access'];
+
+/**
+ * Resolve the blend weights: explicit weights win, unset signals follow
+ * recency_weight (similarity only by default).
+ */
+function rankingWeights({ weights = {}, recency_weight = 0 }) {
+  const resolved = { similarity: 1 - recency_weight, importance: 0, recency: recency_weight, access: 0 };
+  
+  for (const [signal, weight] of Object.entries(weights)) {
+    if (!RANKING_SIGNALS.includes(signal)) {
+      throw new ValidationError(`Unknown ranking weight: ${signal} (expected ${RANKING_SIGNALS.join(', ')})`);
+    }
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new ValidationError(`Ranking weight ${signal} must be a non-negative number`);
+    }
+    resolved[signal] = weight;
+  }
+  return resolved;
+}
+
+function isBlended(weights) {
+  return RANKING_SIGNALS.some(signal => signal !== 'similarity' && weights[signal] > 0);
+}
+
+/**
+ * Blend each match's similarity with its importance, recency (halving every
+ * halfLifeDays) and access frequency (log-scaled against the most accessed
+ * candidate). The base score is normalised to the best match first so RRF
+ * and cosine scores blend alike. Matches need full metadata.
+ */
+function applyWeights(matches, baseScore, weights, halfLifeDays, accessCounts = {}, now = Date.now()) {
+  const best = Math.max(...matches.map(baseScore), 0) || 1;
+  const halfLifeMs = halfLifeDays * 24 * 60 * 60 * 1000;
+  const maxAccess = Math.max(...matches.map(m => accessCounts[m.id]?.count || 0), 0);
+  const total = RANKING_SIGNALS.reduce((sum, signal) => sum + weights[signal], 0) || 1;
+  
+  for (const match of matches) {
+    const age = Math.max(0, now - memoryTimeMs(match.metadata));
+    const signals = {
+      similarity: baseScore(match) / best,
+      importance: match.metadata?.importance ?? estimateImportance(match.metadata?.text_preview, match.metadata?.memory_type),
+      recency: Math.pow(0.5, age / halfLifeMs),
+      access: maxAccess > 0 ? Math.log1p(accessCounts[match.id]?.count || 0) / Math.log1p(maxAccess) : 0
+    };
+    
+    for (const signal of RANKING_SIGNALS.slice(1)) {
+      if (weights[signal] > 0) {
+        match.scores[signal] = signals[signal];
+      }
+    }
+    match.scores.blended = RANKING_SIGNALS.reduce((sum, signal) => sum + weights[signal] * signals[signal], 0) / total;
+  }
+  
+  return matches.sort((a, b) => b.scores.blended - a.scores.blended);
+}
+
+// Vectorize returns at most 100 matches per query (without full metadata), so
+// that is the deepest a result set can be paged.
+const SEARCH_WINDOW = 100;
+const MAX_SEARCH_LIMIT = 100;
+
+async function semanticCandidates(query, filter, minScore, env, { embedding, namespace } = {}) {
+  embedding = embedding || await generateEmbedding(query, env);
+  
+  const queryOptions = {
+    topK: SEARCH_WINDOW,
+    returnValues: false,
+    returnMetadata: 'indexed'
+  };
+  
+  if (namespace) {
+    queryOptions.namespace = namespace;
+  }
+  
+  if (Object.keys(filter).length > 0) {
+    queryOptions.filter = filter;
+  }
+  
+  const results = await env.VECTORIZE.query(embedding, queryOptions);
+  return {
+    matches: results.matches
+      .filter(m => m.score >= minScore)
+      .map(m => ({ ...m, partial: true })),
+    saturated: results.matches.length >= SEARCH_WINDOW
+  };
+}
+
+async function keywordCandidates(query, entity, filter, env) {
+  let entities = null;
+  if (Array.isArray(entity)) {
+    entities = entity;
+  } else if (entity && entity !== 'all') {
+    entities = [entity];
+  }
+  
+  const hits = await keywordSearch(query, entities, env, SEARCH_WINDOW);
+  const vectors = await getVectorsByIds(hits.map(h => h.id), env);
+  const byId = new Map(vectors.map(v => [v.id, v]));
+  
+  return {
+    matches: hits
+      .filter(hit => byId.has(hit.id) && matchesFilter(byId.get(hit.id).metadata, filter))
+      .map(hit => ({ id: hit.id, score: hit.score, metadata: byId.get(hit.id).metadata })),
+    saturated: hits.length >= SEARCH_WINDOW
+  };
+}
+
+/**
+ * Semantic matches only carry indexed metadata; load the full metadata for
+ * the ones we are about to return (or rank on).
+ */
+async function completeMetadata(matches, env) {
+  const partial = matches.filter(m => m.partial);
+  if (partial.length === 0) {
+    return matches;
+  }
+  
+  const vectors = await getVectorsByIds(partial.map(m => m.id), env);
+  const byId = new Map(vectors.map(v => [v.id, v]));
+  for (const match of partial) {
+    match.metadata = byId.get(match.id)?.metadata || match.metadata;
+    match.partial = false;
+  }
+  return matches;
+}
+
+function encodeCursor(offset) {
+  return btoa(JSON.stringify({ offset }));
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(atob(cursor));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (e) {
+    // Fall through to the error below
+  }
+  throw new ValidationError('Invalid cursor');
+}
+
+/**
+ * Reciprocal rank fusion: each list contributes 1 / (RRF_K + rank) per hit.
+ * Keeps the raw score of every signal for display.
+ */
+function fuseRankings(lists) {
+  const fused = new Map();
+  
+  for (const [signal, matches] of Object.entries(lists)) {
+    matches.forEach((match, rank) => {
+      if (!fused.has(match.id)) {
+        fused.set(match.id, {
+          id: match.id,
+          metadata: match.metadata,
+          partial: !!match.partial,
+          scores: { semantic: null, keyword: null, rrf: 0 }
+        });
+      }
+      const entry = fused.get(match.id);
+      if (entry.partial && !match.partial) {
+        entry.metadata = match.metadata;
+        entry.partial = false;
+      }
+      entry.scores[signal] = match.score;
+      entry.scores.rrf += 1 / (RRF_K + rank + 1);
+    });
+  }
+  
+  return [...fused.values()].sort((a, b) => b.scores.rrf - a.scores.rrf);
+}
+
+const BOUNDARY_BALANCE = ['interleave', 'quota'];
+
+/**
+ * Candidates for one search scope, fused and (optionally) recency-weighted,
+ * best first.
+ */
+async function rankCandidates(args, entity, env, { embedding, namespace, weights = rankingWeights(args) } = {}) {
+  const { query, min_score = 0.7, mode = 'hybrid', recency_half_life_days = 30 } = args;
+  const filter = buildSearchFilter({ ...args, entity });
+  const { vectorize, post } = splitFilter(filter, env);
+  
+  const empty = { matches: [], saturated: false };
+  const [semantic, keyword] = await Promise.all([
+    mode === 'keyword' ? empty : semanticCandidates(query, vectorize, min_score, env, { embedding, namespace }),
+    mode === 'semantic' ? empty : keywordCandidates(query, entity, filter, env)
+  ]);
+  
+  const baseScore = m => mode === 'hybrid' ? m.scores.rrf : m.scores[mode];
+  let ranked = fuseRankings({ semantic: semantic.matches, keyword: keyword.matches });
+  if (Object.keys(post).length > 0) {
+    // Fields without a metadata index are filtered here, within the window
+    await completeMetadata(ranked, env);
+    ranked = ranked.filter(match => matchesFilter(match.metadata, post));
+  }
+  const blended = isBlended(weights);
+  if (blended) {
+    await completeMetadata(ranked, env);
+    const accessCounts = weights.access > 0 ? await loadAccessCounts(ranked, env) : {};
+    ranked = applyWeights(ranked, baseScore, weights, recency_half_life_days, accessCounts);
+  }
+  
+  for (const match of ranked) {
+    match.score = blended ? match.scores.blended : baseScore(match);
+  }
+  
+  return { ranked, saturated: semantic.saturated || keyword.saturated };
+}
+
+/**
+ * Merge per-entity rankings so no entity crowds out the others.
+ *   interleave  round-robin by rank, entities with the best top hit first
+ *   quota       at most perEntity hits from each entity, then by score
+ */
+function balanceRankings(lists, balance, perEntity) {
+  if (balance === 'quota') {
+    return lists
+      .flatMap(list => list.slice(0, perEntity))
+      .sort((a, b) => b.score - a.score);
+  }
+  
+  const ordered = lists
+    .filter(list => list.length > 0)
+    .sort((a, b) => b[0].score - a[0].score);
+  const merged = [];
+  for (let rank = 0; ordered.some(list => rank < list.length); rank++) {
+    for (const list of ordered) {
+      if (rank < list.length) {
+        merged.push(list[rank]);
+      }
+    }
+  }
+  return merged;
+}
+
+async function toolSearch(args, env, { trackAccess = true, ctx } = {}) {
+  const {
+    query, entity, limit = 10, full_text = true, mode = 'hybrid', cursor, expand = 0,
+    boundary = false, balance = 'interleave', per_entity, requesting_entity
+  } = args;
+  
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new ValidationError(`Unknown search mode: ${mode} (expected ${SEARCH_MODES.join(', ')})`);
+  }
+  if (!BOUNDARY_BALANCE.includes(balance)) {
+    throw new ValidationError(`Unknown balance: ${balance} (expected ${BOUNDARY_BALANCE.join(', ')})`);
+  }
+  
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError(`limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}, got ${limit}`);
+  }
+  if (args.offset !== undefined && (!Number.isInteger(args.offset) || args.offset < 0)) {
+    throw new ValidationError(`offset must be a non-negative integer, got ${args.offset}`);
+  }
+  if (cursor !== undefined && typeof cursor !== 'string') {
+    throw new ValidationError('Invalid cursor');
+  }
+  const pageSize = Math.min(limit, MAX_SEARCH_LIMIT);
+  const offset = cursor ? decodeCursor(cursor) : args.offset || 0;
+  
+  let ranked;
+  let saturated;
+  let boundaryInfo;
+  
+  if (boundary) {
+    // Trill Boundary: every entity is searched in its own Vectorize namespace
+    // and gets its own share of the results
+    let entities;
+    if (Array.isArray(entity)) {
+      entities = entity;
+    } else if (entity && entity !== 'all') {
+      entities = [entity];
+    } else {
+      entities = await listLexicalEntities(env);
+    }
+    
+    const embedding = mode === 'keyword' ? null : await generateEmbedding(query, env);
+    const perEntityResults = await Promise.all(
+      entities.map(name => rankCandidates(args, name, env, { embedding, namespace: name }))
+    );
+    const quota = Math.max(1, per_entity || Math.ceil(pageSize / Math.max(1, entities.length)));
+    
+    ranked = balanceRankings(perEntityResults.map(r => r.ranked), balance, quota);
+    saturated = perEntityResults.some(r => r.saturated);
+    boundaryInfo = {
+      entities,
+      balance,
+      ...(balance === 'quota' ? { per_entity: quota } : {}),
+      candidates: Object.fromEntries(entities.map((name, i) => [name, perEntityResults[i].ranked.length]))
+    };
+  } else {
+    ({ ranked, saturated } = await rankCandidates(args, entity, env));
+  }
+  
+  const matches = await completeMetadata(ranked.slice(offset, offset + pageSize), env);
+  const texts = full_text
+    ? await hydrateTexts(matches, env)
+    : matches.map(m => m.metadata?.text_preview);
+  
+  const memories = matches.map((m, i) => ({
+    id: m.id,
+    score: m.score,
+    scores: m.scores,
+    text: texts[i],
+    metadata: m.metadata,
+    ...(requesting_entity ? { ownership: m.metadata?.entity_name === requesting_entity ? 'own' : 'other' } : {}),
+    formatted: formatAttribution({ metadata: m.metadata, text: texts[i] }, requesting_entity)
+  }));
+  
+  if (expand > 0) {
+    await expandNeighbors(memories, Math.min(expand, MAX_EXPAND), full_text, env);
+    if (requesting_entity) {
+      for (const memory of memories.filter(m => m.expanded_text)) {
+        memory.formatted = formatAttribution({ metadata: memory.metadata, text: memory.expanded_text }, requesting_entity);
+      }
+    }
+  }
+  
+  if (trackAccess) {
+    await recordAccess(memories, env, ctx);
+  }
+  
+  const nextOffset = offset + matches.length;
+  const hasMore = nextOffset < ranked.length;
+  
+  return {
+    query,
+    mode,
+    ...(requesting_entity ? { requesting_entity } : {}),
+    ...(boundaryInfo ? { boundary: boundaryInfo } : {}),
+    count: memories.length,
+    offset,
+    total_estimate: ranked.length,
+    total_is_lower_bound: saturated,
+    has_more: hasMore,
+    // Candidates come from a fixed window per signal, so more matches may
+    // exist past it that no cursor reaches
+    ...(!hasMore && saturated ? {
+      end_reason: `Reached the ${SEARCH_WINDOW}-candidate search window; narrow the query or filters to see other matches`
+    } : {}),
+    next_cursor: hasMore ? encodeCursor(nextOffset) : null,
+    memories
+  };
+}
+
+// ============================================================================
+// Tool: Get Grounding Context
+// ============================================================================
+
+const RECENT_PER_ENTITY = 10;
+
+// Topic grounding leans on importance and use, not similarity alone
+const GROUNDING_WEIGHTS = { similarity: 0.7, importance: 0.2, recency: 0, access: 0.1 };
+
+/**
+ * The newest memories of each entity, by timestamp, read from the R2 memory
+ * index rather than by semantic match. Returned newest first.
+ */
+async function recentMemories(entity, perEntity, env, { since, until } = {}) {
+  let entities;
+  if (Array.isArray(entity)) {
+    entities = entity;
+  } else if (entity && entity !== 'all') {
+    entities = [entity];
+  } else {
+    entities = [...new Set((await listMemoryIndex(env)).map(e => e.entity_name).filter(Boolean))];
+  }
+  
+  const sinceMs = since !== undefined ? parseDateArg('since', since) : -Infinity;
+  const untilMs = until !== undefined ? parseDateArg('until', until) : Infinity;
+  
+  const picked = [];
+  for (const name of entities) {
+    const entries = (await listMemoryIndex(env, name))
+      .map(e => ({ ...e, time: memoryTimeMs(e) }))
+      .filter(e => e.time >= sinceMs && e.time <= untilMs)
+      .sort((a, b) => b.time - a.time)
+      .slice(0, perEntity);
+    picked.push(...entries);
+  }
+  picked.sort((a, b) => b.time - a.time);
+  
+  const vectors = await getVectorsByIds(picked.map(e => e.id), env);
+  const byId = new Map(vectors.map(v => [v.id, v]));
+  const matches = picked.filter(e => byId.has(e.id)).map(e => byId.get(e.id));
+  const texts = await hydrateTexts(matches, env);
+  
+  return matches.map((m, i) => ({
+    id: m.id,
+    text: texts[i],
+    metadata: m.metadata,
+    formatted: formatAttribution({ metadata: m.metadata, text: texts[i] })
+  }));
+}
+
+/**
+ * Move reflections ahead of raw memories and drop the memories a listed
+ * reflection already summarizes, keeping the order otherwise.
+ */
+function preferReflections(memories) {
+  const reflections = memories.filter(m => m.metadata?.memory_type === 'reflection');
+  const covered = new Set(reflections.flatMap(m => m.metadata.source_memory_ids || []));
+  const rest = memories.filter(m => m.metadata?.memory_type !== 'reflection' && !covered.has(m.id));
+  return [...reflections, ...rest];
+}
+
+/**
+ * The pinned memories of every entity in scope, oldest first.
+ */
+async function pinnedMemories(entity, env, requestingEntity) {
+  let entities;
+  if (Array.isArray(entity)) {
+    entities = entity;
+  } else if (entity && entity !== 'all') {
+    entities = [entity];
+  } else {
+    entities = await listLexicalEntities(env);
+  }
+  
+  const ids = (await Promise.all(entities.map(name => loadPins(name, env)))).flat();
+  const vectors = (await getVectorsByIds(ids, env))
+    .sort((a, b) => memoryTimeMs(a.metadata) - memoryTimeMs(b.metadata));
+  const texts = await hydrateTexts(vectors, env);
+  
+  return vectors.map((v, i) => ({
+    id: v.id,
+    text: texts[i],
+    metadata: v.metadata,
+    formatted: formatAttribution({ metadata: v.metadata, text: texts[i] }, requestingEntity)
+  }));
+}
+
+const GROUNDING_FORMATS = ['markdown', 'xml', 'json'];
+const GROUNDING_GROUPS = { none: null, entity: 'entity_name', platform: 'source_platform', conversation: 'conversation' };
+const GROUNDING_CANDIDATES = 40;
+const MAX_GROUNDING_TOKENS = 8000;
+
+function groupKey(memory, groupBy) {
+  const metadata = memory.metadata || {};
+  if (groupBy === 'conversation') {
+    return metadata.conversation_id || metadata.parent_id || metadata.source_file || memory.id;
+  }
+  return metadata[GROUNDING_GROUPS[groupBy]] || 'unknown';
+}
+
+/**
+ * Maximal marginal relevance: repeatedly take the candidate with the best
+ * lambda * relevance - (1 - lambda) * (similarity to anything already taken).
+ * Relevance falls linearly with the candidate's rank. Returns the candidates
+ * in MMR order, each with its marginal value.
+ */
+function mmrOrder(candidates, vectorsById, lambda) {
+  const remaining = candidates.map((memory, i) => ({
+    memory,
+    relevance: 1 - i / candidates.length,
+    values: vectorsById.get(memory.id)
+  }));
+  const ordered = [];
+  
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((item, i) => {
+      const redundancy = item.values
+        ? Math.max(0, ...ordered.filter(o => o.values).map(o => cosineSimilarity(item.values, o.values)))
+        : 0;
+      const value = lambda * item.relevance - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestIndex = i;
+        bestValue = value;
+      }
+    });
+    
+    const [item] = remaining.splice(bestIndex, 1);
+    ordered.push({ ...item, value: Math.max(bestValue, 1e-3) });
+  }
+  
+  return ordered;
+}
+
+/**
+ * 0/1 knapsack over token costs: the subset of items with the highest total
+ * value that fits the budget. Keeps the items' order.
+ */
+function fillBudget(items, budget) {
+  const capacity = Math.max(0, Math.floor(budget));
+  const best = new Float64Array(capacity + 1);
+  const keep = items.map(() => new Uint8Array(capacity + 1));
+  
+  items.forEach((item, i) => {
+    for (let c = capacity; c >= item.cost; c--) {
+      if (best[c - item.cost] + item.value > best[c]) {
+        best[c] = best[c - item.cost] + item.value;
+        keep[i][c] = 1;
+      }
+    }
+  });
+  
+  const chosen = new Set();
+  let c = capacity;
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (keep[i][c]) {
+      chosen.add(i);
+      c -= items[i].cost;
+    }
+  }
+  return items.filter((item, i) => chosen.has(i));
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function groundingRecord(memory, requestingEntity) {
+  const metadata = memory.metadata || {};
+  return {
+    id: memory.id,
+    entity: metadata.entity_name,
+    source: metadata.source_platform,
+    type: metadata.memory_type,
+    timestamp: metadata.timestamp,
+    ...(requestingEntity ? { ownership: metadata.entity_name === requestingEntity ? 'own' : 'other' } : {}),
+    ...(metadata.pinned ? { pinned: true } : {}),
+    text: memory.expanded_text || memory.text || metadata.text_preview || ''
+  };
+}
+
+function renderMemory(memory, format, requestingEntity) {
+  if (format === 'markdown') {
+    return memory.formatted + '\n';
+  }
+  
+  const record = groundingRecord(memory, requestingEntity);
+  if (format === 'json') {
+    return JSON.stringify(record);
+  }
+  
+  const { text, ...attributes } = record;
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+    .join(' ');
+  return `<memory ${attrs}>\n${escapeXml(text)}\n</memory>\n`;
+}
+
+/**
+ * Render the grounding context. sections is [{ name, memories }], where a
+ * null name means no heading.
+ */
+function renderGroundingContext({ topic, entity, requestingEntity, format, groupBy, sections }) {
+  const entityFilter = [].concat(entity).join(', ');
+  
+  if (format === 'json') {
+    return JSON.stringify({
+      query: topic,
+      entity_filter: entityFilter,
+      ...(requestingEntity ? { requesting_entity: requestingEntity } : {}),
+      group_by: groupBy,
+      groups: sections.map(section => ({
+        name: section.name,
+        memories: section.memories.map(m => groundingRecord(m, requestingEntity))
+      }))
+    });
+  }
+  
+  if (format === 'xml') {
+    let context = `<grounding_context query="${escapeXml(topic)}" entity_filter="${escapeXml(entityFilter)}"`;
+    context += requestingEntity ? ` requesting_entity="${escapeXml(requestingEntity)}">\n` : '>\n';
+    for (const section of sections) {
+      const body = section.memories.map(m => renderMemory(m, format, requestingEntity)).join('');
+      context += section.name === null
+        ? body
+        : `<group by="${section.by}" name="${escapeXml(section.name)}">\n${body}</group>\n`;
+    }
+    return context + '</grounding_context>\n';
+  }
+  
   let context = `## Grounding Context\n`;
-  context += `Query: "${topic}" | Entity filter: ${entity}\n\n`;
+  context += `Query: "${topic}" | Entity filter: ${entityFilter}`;
+  context += requestingEntity ? ` | Requesting entity: ${requestingEntity}\n\n` : '\n\n';
+  for (const section of sections) {
+    if (section.name !== null) {
+      context += context.endsWith('\n\n') ? '' : '\n';
+      context += `### ${section.by === 'pinned' ? 'Pinned' : `${section.by}: ${section.name}`}\n\n`;
+    }
+    context += section.memories.map(m => renderMemory(m, format, requestingEntity)).join('');
+  }
+  return context;
+}
+
+async function toolGetGroundingContext(args, env, ctx) {
+  const {
+    topic, entity = 'all', since, until, recency_weight = 0, expand = 0,
+    boundary = false, requesting_entity, prefer_reflections = true, weights = {},
+    diversity = 0.5, group_by = 'none', format = 'markdown'
+  } = args;
+  
+  if (typeof topic !== 'string' || !topic.trim()) {
+    throw new ValidationError('topic must be a non-empty string');
+  }
+  
+  // The knapsack allocates and walks max_tokens cells per candidate
+  const max_tokens = Math.max(0, Math.min(MAX_GROUNDING_TOKENS, Math.floor(Number(args.max_tokens ?? 2000)) || 0));
+  if (typeof diversity !== 'number' || !(diversity >= 0 && diversity <= 1)) {
+    throw new ValidationError(`diversity must be a number between 0 and 1, got ${diversity}`);
+  }
+  
+  if (!GROUNDING_FORMATS.includes(format)) {
+    throw new ValidationError(`Unknown format: ${format} (expected ${GROUNDING_FORMATS.join(', ')})`);
+  }
+  if (!Object.hasOwn(GROUNDING_GROUPS, group_by)) {
+    throw new ValidationError(`Unknown group_by: ${group_by} (expected ${Object.keys(GROUNDING_GROUPS).join(', ')})`);
+  }
+  
+  const recentMode = topic.toLowerCase() === 'recent';
+  const pinned = await pinnedMemories(entity, env, requesting_entity);
+  const pinnedIds = new Set(pinned.map(m => m.id));
+  
+  let candidates;
+  if (recentMode) {
+    candidates = await recentMemories(entity, RECENT_PER_ENTITY, env, { since, until });
+    if (requesting_entity) {
+      for (const memory of candidates) {
+        memory.formatted = formatAttribution(memory, requesting_entity);
+      }
+    }
+  } else {
+    candidates = (await toolSearch({
+      query: topic,
+      entity,
+      limit: GROUNDING_CANDIDATES,
+      min_score: 0.5,
+      since,
+      until,
+      weights: {
+        ...GROUNDING_WEIGHTS,
+        ...(recency_weight > 0 ? { recency: recency_weight } : {}),
+        ...weights
+      },
+      expand,
+      boundary,
+      requesting_entity,
+      full_text: true
+    }, env, { trackAccess: false })).memories;
+  }
+  
+  if (prefer_reflections) {
+    candidates = preferReflections(candidates);
+  }
+  candidates = candidates.filter(m => !pinnedIds.has(m.id));
+  
+  // Diversify, then pick the most valuable set that fits what the header
+  // and pinned memories (which always go in) leave of the budget
+  const vectors = diversity > 0 ? await getVectorsByIds(candidates.map(m => m.id), env) : [];
+  const ordered = mmrOrder(candidates, new Map(vectors.map(v => [v.id, v.values])), 1 - diversity);
+  
+  const sections = pinned.length > 0
+    ? [{ by: 'pinned', name: group_by === 'none' ? null : 'pinned', memories: pinned }]
+    : [];
+  const fixedTokens = countTokens(renderGroundingContext({
+    topic, entity, requestingEntity: requesting_entity, format, groupBy: group_by, sections
+  }));
+  
+  for (const item of ordered) {
+    item.cost = countTokens(renderMemory(item.memory, format, requesting_entity));
+  }
+  const rank = new Map(ordered.map((item, i) => [item.memory.id, i]));
+  const chosen = fillBudget(ordered, max_tokens - fixedTokens);
+  
+  const render = (items) => {
+    const memories = items.map(item => item.memory);
+    const arranged = [...sections];
+    
+    if (group_by === 'none') {
+      // Recent mode picks newest first but reads oldest first
+      if (recentMode) {
+        memories.sort((a, b) => memoryTimeMs(a.metadata) - memoryTimeMs(b.metadata));
+      }
+      arranged.push({ by: null, name: null, memories });
+    } else {
+      // Groups in order of their best memory, each read oldest first
+      const groups = new Map();
+      for (const memory of memories.sort((a, b) => rank.get(a.id) - rank.get(b.id))) {
+        const key = groupKey(memory, group_by);
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(memory);
+      }
+      const ordered = [...groups].map(([name, grouped]) => ({
+        by: group_by,
+        name,
+        memories: grouped.sort((a, b) => memoryTimeMs(a.metadata) - memoryTimeMs(b.metadata))
+      }));
+      // Without a topic there is no best memory, so groups are chronological too
+      if (recentMode) {
+        ordered.sort((a, b) => memoryTimeMs(a.memories[0].metadata) - memoryTimeMs(b.memories[0].metadata));
+      }
+      arranged.push(...ordered);
+    }
+    
+    return renderGroundingContext({
+      topic, entity, requestingEntity: requesting_entity, format, groupBy: group_by, sections: arranged
+    });
+  };
+  
+  // Group headings are not in the item costs - drop the least valuable
+  // memories if they tip the context over budget
+  let context = render(chosen);
+  while (chosen.length > 0 && countTokens(context) > max_tokens) {
+    const weakest = chosen.reduce((min, item) => item.value < min.value ? item : min);
+    chosen.splice(chosen.indexOf(weakest), 1);
+    context = render(chosen);
+  }
+  const included = chosen.map(item => item.memory);
+  
+  await recordAccess([...pinned, ...included], env, ctx);
+  
+  return {
+    context,
+    format,
+    token_estimate: countTokens(context),
+    memories_included: pinned.length + included.length,
+    pinned_included: pinned.length,
+    total_available: pinned.length + candidates.length
+  };
+}
+
+// ============================================================================
+// Tool: Get Document
+// ============================================================================
+
+async function toolGetDocument(args, env, auth) {
+  let { id, parent_id, entity_name } = args;
+  
+  if (id) {
+    const vector = await loadMemory(id, env, auth);
+    parent_id = vector.metadata?.parent_id;
+    entity_name = vector.metadata?.entity_name;
+    if (!parent_id) {
+      throw new ValidationError(`Memory ${id} was ingested before parent documents were tracked`);
+    }
+  } else if (!parent_id || !entity_name) {
+    throw new ValidationError('id, or parent_id and entity_name, is required');
+  }
+  
+  const manifest = await readJSON(documentPrefix(entity_name, parent_id) + 'manifest.json', env, null);
+  if (!manifest) {
+    throw new NotFoundError(`Document not found: ${parent_id}`);
+  }
+  
+  const entries = await listDocumentChunks(entity_name, parent_id, env);
+  const vectors = await getVectorsByIds(entries.map(e => e.id), env);
+  const byId = new Map(vectors.map(v => [v.id, v]));
+  const texts = await hydrateTexts(entries.filter(e => byId.has(e.id)).map(e => byId.get(e.id)), env);
+  
+  let next = 0;
+  const chunks = entries.map(entry => ({
+    ...entry,
+    missing: !byId.has(entry.id),
+    text: byId.has(entry.id) ? texts[next++] : null
+  }));
+  
+  const { content, ...document } = manifest;
+  const complete = chunks.length === manifest.total_chunks && chunks.every(c => !c.missing);
+  
+  return {
+    document,
+    content: content ?? joinChunks(chunks.filter(c => !c.missing).map(c => c.text)),
+    reconstructed: content === undefined,
+    complete,
+    chunks
+  };
+}
+
+// ============================================================================
+// Tool: Ingest
+// ============================================================================
+
+const VECTORIZE_UPSERT_BATCH = 100;
+const R2_WRITE_CONCURRENCY = 8;
+
+async function toolIngest(args, env) {
+  const {
+    content, entity_name, source_platform, memory_type, chunking = 'auto', parent_id, importance, tags,
+    metadata = {}
+  } = args;
+  const resolvedTags = normalizeTags(tags ?? metadata.tags);
+  
+  if (parent_id !== undefined && !PARENT_ID_RE.test(parent_id)) {
+    throw new ValidationError(`parent_id must match ${PARENT_ID_RE}`);
+  }
+  if (!CHUNK_STRATEGIES.includes(chunking)) {
+    throw new ValidationError(`Unknown chunking strategy: ${chunking} (expected ${CHUNK_STRATEGIES.join(', ')})`);
+  }
+  
+  const timings = {};
+  let stepStart = Date.now();
+  const lap = (step) => {
+    const now = Date.now();
+    timings[step] = now - stepStart;
+    stepStart = now;
+  };
+  
+  const provider = createEmbeddingProvider(env);
+  const pieces = chunkContent(content, {
+    strategy: chunking,
+    memoryType: memory_type,
+    maxTokens: chunkTokenLimit(env, provider),
+    overlap: parseInt(env.CHUNK_OVERLAP) || 50
+  });
+  const chunks = pieces.map(p => p.text);
+  
+  // Callers that chunk a document themselves send one piece per call with the
+  // shared parent_id and the piece's chunk_index / total_chunks in metadata
+  const parentId = parent_id || await documentId(entity_name, content);
+  const baseIndex = Number.isInteger(metadata.chunk_index) ? metadata.chunk_index : 0;
+  const totalChunks = Number.isInteger(metadata.total_chunks) ? metadata.total_chunks : chunks.length;
+  lap('chunking');
+  
+  const results = [];
+  const skipped = [];
+  const timestamp = new Date().toISOString();
+  
+  const hashes = await Promise.all(chunks.map(chunk => hashContent(chunk)));
+  const resolved = await resolveContentIds(entity_name, hashes, env);
+  const ids = hashes.map(hash => resolved.get(hash).id);
+  const seen = new Set(hashes.filter(hash => resolved.get(hash).stored));
+  
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const hash = hashes[i];
+    const id = ids[i];
+    
+    if (seen.has(hash)) {
+      skipped.push({ id, hash, chunk_index: i });
+      continue;
+    }
+    seen.add(hash);
+    
+    const vectorMetadata = {
+      entity_name,
+      source_platform,
+      memory_type,
+      timestamp: metadata.timestamp || timestamp,
+      text_preview: chunk.slice(0, PREVIEW_LENGTH),
+      chunk_hash: hash,
+      ingested_at: timestamp,
+      ...(pieces[i].section_path ? { section_path: pieces[i].section_path } : {}),
+      ...metadata
+    };
+    vectorMetadata.chunk_index = baseIndex + i;
+    vectorMetadata.total_chunks = totalChunks;
+    vectorMetadata.parent_id = parentId;
+    vectorMetadata.importance = resolveImportance(importance, chunk, memory_type);
+    if (resolvedTags) {
+      vectorMetadata.tags = resolvedTags;
+    }
+    vectorMetadata.embedding_model = provider.model;
+    withTimestampMs(vectorMetadata);
+    
+    results.push({ id, hash, chunk_index: i, text: chunk, metadata: vectorMetadata });
+  }
+  const interrupted = (await getVectorsByIds(results.map(r => r.id), env)).map(v => v.id);
+  lap('dedup');
+  
+  const embeddings = await generateEmbeddings(results.map(r => r.text), env, provider);
+  lap('embedding');
+  
+  // New ids are recorded before anything else is written, so a re-run after
+  // a failure resolves the same ids
+  await mapConcurrent(results.filter(r => resolved.get(r.hash).alias), R2_WRITE_CONCURRENCY,
+    r => putHashId(entity_name, r.hash, r.id, env));
+  await mapConcurrent(results.filter(r => r.text.length > PREVIEW_LENGTH), R2_WRITE_CONCURRENCY, async (r) => {
+    const stored = await putChunk(r.hash, r.text, r.metadata, env);
+    r.metadata.r2_key = stored.key;
+    r.metadata.r2_bytes = stored.bytes;
+  });
+  lap('r2');
+  
+  for (const batch of batches(results.map((r, i) => ({ ...r, values: embeddings[i] })), VECTORIZE_UPSERT_BATCH)) {
+    await env.VECTORIZE.upsert(batch.map(r => ({
+      id: r.id,
+      values: r.values,
+      namespace: entity_name,
+      metadata: r.metadata
+    })));
+  }
+  lap('vectorize');
+  
+  await putDocument(entity_name, parentId, {
+    parent_id: parentId,
+    entity_name,
+    source_platform,
+    memory_type,
+    source_file: metadata.source_file,
+    conversation_id: metadata.conversation_id,
+    title: metadata.conversation_title || metadata.title,
+    created_at: timestamp,
+    total_chunks: totalChunks,
+    content: parent_id ? undefined : content
+  }, pieces.map((piece, i) => ({
+    id: ids[i],
+    chunk_index: baseIndex + i,
+    section_path: piece.section_path
+  })), env);
+  if (interrupted.length > 0) {
+    await removeLexical(entity_name, interrupted, env);
+  }
+  await indexLexical(entity_name, results.map(r => ({ id: r.id, text: r.text })), env);
+  await mapConcurrent(results, R2_WRITE_CONCURRENCY, r => putMemoryIndex(r.id, r.metadata, env));
+  await recordIngest(env, entity_name, results.map(r => r.metadata), embeddingCalls(results.length, env));
+  lap('indexing');
+  
+  return {
+    success: true,
+    entity: entity_name,
+    parent_id: parentId,
+    chunks_created: results.length,
+    chunks_skipped: skipped.length,
+    memory_ids: results.map(r => r.id),
+    skipped_ids: skipped.map(r => r.id),
+    timings_ms: timings
+  };
+}
+
+// ============================================================================
+// Tool: Store
+// ============================================================================
+
+const STORE_DEFAULT_PLATFORM = 'direct';
+
+async function toolStore(args, env) {
+  const { text, entity_name, source_platform = STORE_DEFAULT_PLATFORM, memory_type, importance, tags, metadata = {} } = args;
+  
+  const timestamp = new Date().toISOString();
+  const resolvedImportance = resolveImportance(importance, text, memory_type);
+  const resolvedTags = normalizeTags(tags ?? metadata.tags);
+  const hash = await hashContent(text);
+  const { id, stored, alias } = (await resolveContentIds(entity_name, [hash], env)).get(hash);
+  
+  if (stored) {
+    return {
+      success: true,
+      created: false,
+      skipped: true,
+      memory_id: id,
+      entity: entity_name,
+      type: memory_type
+    };
+  }
+  
+  const embedding = await generateEmbedding(text, env);
+  
+  const vectorMetadata = {
+    entity_name,
+    source_platform,
+    memory_type,
+    timestamp: metadata.timestamp || timestamp,
+    text_preview: text.slice(0, PREVIEW_LENGTH),
+    chunk_hash: hash,
+    ingested_at: timestamp,
+    ...metadata
+  };
+  vectorMetadata.importance = resolvedImportance;
+  if (resolvedTags) {
+    vectorMetadata.tags = resolvedTags;
+  }
+  vectorMetadata.embedding_model = createEmbeddingProvider(env).model;
+  withTimestampMs(vectorMetadata);
+  
+  if (alias) {
+    await putHashId(entity_name, hash, id, env);
+  }
+  if (text.length > PREVIEW_LENGTH) {
+    const chunk = await putChunk(hash, text, vectorMetadata, env);
+    vectorMetadata.r2_key = chunk.key;
+    vectorMetadata.r2_bytes = chunk.bytes;
+  }
+  
+  const [interrupted] = await env.VECTORIZE.getByIds([id]);
+  await env.VECTORIZE.upsert([{
+    id,
+    values: embedding,
+    namespace: entity_name,
+    metadata: vectorMetadata
+  }]);
+  if (interrupted) {
+    await removeLexical(entity_name, [id], env);
+  }
+  await indexLexical(entity_name, [{ id, text }], env);
+  await putMemoryIndex(id, vectorMetadata, env);
+  await recordIngest(env, entity_name, [vectorMetadata], 1);
+  
+  return {
+    success: true,
+    created: true,
+    skipped: false,
+    memory_id: id,
+    entity: entity_name,
+    type: memory_type
+  };
+}
+
+// ============================================================================
+// Tool: Consolidate
+// ============================================================================
+
+// Reflections are ordinary memories (memory_type "reflection") whose
+// source_memory_ids metadata lists the memories they condense. Those ids are
+// what keeps a memory from being consolidated twice.
+const CONSOLIDATE_WINDOW_DAYS = 7;
+const CONSOLIDATE_MAX_MEMORIES = 200;
+const MAX_CLUSTER_SIZE = 12;
+const MAX_CONSOLIDATE_CLUSTERS = 20;
+const REFLECTION_PLATFORM = 'consolidation';
+
+function consolidateWindowDays(env) {
+  return parseInt(env.CONSOLIDATE_WINDOW_DAYS) || CONSOLIDATE_WINDOW_DAYS;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Greedy single-pass clustering: each vector joins the most similar cluster
+ * centroid at or above the threshold that still has room, or starts its own.
+ */
+function clusterVectors(vectors, threshold) {
+  const clusters = [];
+  
+  for (const vector of vectors) {
+    let best = null;
+    let bestScore = threshold;
+    for (const cluster of clusters) {
+      if (cluster.members.length >= MAX_CLUSTER_SIZE) {
+        continue;
+      }
+      const score = cosineSimilarity(vector.values, cluster.centroid);
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+    
+    if (best) {
+      best.members.push(vector);
+      best.centroid = best.centroid.map((v, i) => v + vector.values[i]);
+    } else {
+      clusters.push({ members: [vector], centroid: [...vector.values] });
+    }
+  }
+  
+  return clusters;
+}
+
+async function reflectedMemoryIds(entries, env) {
+  const reflectionIds = entries.filter(e => e.memory_type === 'reflection').map(e => e.id);
+  const reflections = await getVectorsByIds(reflectionIds, env);
+  return new Set(reflections.flatMap(r => r.metadata?.source_memory_ids || []));
+}
+
+async function toolConsolidate(args, env) {
+  const {
+    entity_name, since, until, similarity = 0.8, min_cluster_size = 3, max_clusters = 5, dry_run = false
+  } = args;
+  
+  if (!entity_name) {
+    throw new ValidationError('entity_name is required');
+  }
+  if (typeof similarity !== 'number' || !(similarity >= 0 && similarity <= 1)) {
+    throw new ValidationError(`similarity must be a number between 0 and 1, got ${similarity}`);
+  }
+  // A cluster of one would turn every memory into its own reflection
+  if (!Number.isInteger(min_cluster_size) || min_cluster_size < 2 || min_cluster_size > MAX_CLUSTER_SIZE) {
+    throw new ValidationError(`min_cluster_size must be an integer from 2 to ${MAX_CLUSTER_SIZE}, got ${min_cluster_size}`);
+  }
+  if (!Number.isInteger(max_clusters) || max_clusters < 1 || max_clusters > MAX_CONSOLIDATE_CLUSTERS) {
+    throw new ValidationError(`max_clusters must be an integer from 1 to ${MAX_CONSOLIDATE_CLUSTERS}, got ${max_clusters}`);
+  }
+  // Reflections skip executeTool, so check them against the config here
+  validateMemoryFields({ entity_name, source_platform: REFLECTION_PLATFORM, memory_type: 'reflection' }, await loadConfig(env));
+  
+  const untilMs = until !== undefined ? parseDateArg('until', until) : Date.now();
+  const sinceMs = since !== undefined
+    ? parseDateArg('since', since)
+    : untilMs - consolidateWindowDays(env) * 86400000;
+  
+  const entries = await listMemoryIndex(env, entity_name);
+  const covered = await reflectedMemoryIds(entries, env);
+  const candidates = entries
+    .filter(e => e.memory_type !== 'reflection' && !covered.has(e.id))
+    .map(e => ({ ...e, time: memoryTimeMs(e) }))
+    .filter(e => e.time >= sinceMs && e.time <= untilMs)
+    .sort((a, b) => b.time - a.time)
+    .slice(0, CONSOLIDATE_MAX_MEMORIES);
+  
+  const vectors = (await getVectorsByIds(candidates.map(e => e.id), env)).filter(v => v.values?.length);
+  const clusters = clusterVectors(vectors, similarity)
+    .filter(c => c.members.length >= min_cluster_size)
+    .sort((a, b) => b.members.length - a.members.length)
+    .slice(0, max_clusters);
+  
+  const result = {
+    entity: entity_name,
+    since: new Date(sinceMs).toISOString(),
+    until: new Date(untilMs).toISOString(),
+    candidates: vectors.length,
+    clusters: clusters.length
+  };
+  
+  if (dry_run) {
+    return {
+      ...result,
+      dry_run: true,
+      would_consolidate: clusters.map(c => ({
+        size: c.members.length,
+        source_memory_ids: c.members.map(m => m.id),
+        previews: c.members.map(m => (m.metadata?.text_preview || '').slice(0, 120))
+      }))
+    };
+  }
+  
+  const summarizer = createSummaryProvider(env);
+  const reflections = [];
+  
+  for (const cluster of clusters) {
+    const members = cluster.members.sort((a, b) => memoryTimeMs(a.metadata) - memoryTimeMs(b.metadata));
+    const texts = await hydrateTexts(members, env);
+    const summary = (await summarizer.summarize(texts, entity_name) || '').trim();
+    if (!summary) {
+      continue;
+    }
+    
+    const stored = await toolStore({
+      text: summary,
+      entity_name,
+      source_platform: REFLECTION_PLATFORM,
+      memory_type: 'reflection',
+      metadata: {
+        timestamp: members[members.length - 1].metadata.timestamp,
+        source_memory_ids: members.map(m => m.id),
+        summary_model: summarizer.model
+      }
+    }, env);
+    
+    reflections.push({
+      memory_id: stored.memory_id,
+      created: stored.created,
+      source_memory_ids: members.map(m => m.id),
+      text: summary
+    });
+  }
+  
+  return {
+    ...result,
+    summary_model: summarizer.model,
+    reflections_created: reflections.filter(r => r.created).length,
+    reflections
+  };
+}
+
+/**
+ * Cron Trigger entry point: consolidate each entity (CONSOLIDATE_ENTITIES, or
+ * every entity with memories) over the default window. Returns
+ * [{ entity, candidates, reflections_created } | { entity, error }].
+ */
+async function runScheduledConsolidation(env) {
+  const entities = env.CONSOLIDATE_ENTITIES
+    ? env.CONSOLIDATE_ENTITIES.split(',').map(e => e.trim()).filter(Boolean)
+    : [...new Set((await listMemoryIndex(env)).map(e => e.entity_name).filter(Boolean))];
+  
+  const results = [];
+  for (const entity of entities) {
+    try {
+      const result = await toolConsolidate({ entity_name: entity }, env);
+      results.push({ entity, candidates: result.candidates, reflections_created: result.reflections_created });
+    } catch (error) {
+      results.push({ entity, error: error.message });
+    }
+  }
+  
+  return results;
+}
+
+// ============================================================================
+// Tools: Delete / Forget / Purge
+// ============================================================================
+
+const VECTORIZE_DELETE_BATCH = 100;
+const R2_DELETE_BATCH = 1000;
+// Each memory costs a few R2 lists (chunk references, revisions, documents),
+// so deletes work through at most this many per call to stay well inside
+// the Worker's subrequest limit
+const DELETE_PAGE_SIZE = 100;
+
+/**
+ * Filter r2Keys down to chunk objects that no memory outside excludeIds
+ * still points at. Chunk objects are keyed by content hash, so the same
+ * object can back memories in several entities.
+ */
+async function unreferencedChunks(r2Keys, excludeIds, env) {
+  const keys = [...new Set(r2Keys.filter(Boolean))];
+  if (keys.length === 0) {
+    return [];
+  }
+  
+  const unreferenced = [];
+  for (const key of keys) {
+    let referenced = false;
+    let cursor;
+    do {
+      const page = await env.R2.list({ prefix: `${CHUNK_REF_PREFIX}${key}/`, cursor });
+      referenced = page.objects.some(object => !excludeIds.has(object.key.slice(object.key.lastIndexOf('/') + 1)));
+      cursor = page.truncated && !referenced ? page.cursor : undefined;
+    } while (cursor);
+    
+    if (!referenced) {
+      unreferenced.push(key);
+    }
+  }
+  return unreferenced;
+}
+
+/**
+ * Whether any of ids still has a memory index entry. Heads a batch at a time
+ * and stops at the first hit, so a large document that is still in use costs
+ * a handful of requests rather than one per chunk.
+ */
+async function anyIndexed(entity, ids, env) {
+  for (const batch of batches(ids, R2_FETCH_CONCURRENCY)) {
+    const heads = await Promise.all(batch.map(id => env.R2.head(memoryIndexKey(entity, id))));
+    if (heads.some(Boolean)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Document keys to delete along with `deleting`: the chunk entries of the
+ * memories being deleted, and every key of a document left without any memory.
+ */
+async function documentKeysToDelete(records, deleting, env) {
+  const parentsByEntity = new Map();
+  for (const record of records) {
+    if (!record.parent_id) {
+      continue;
+    }
+    if (!parentsByEntity.has(record.entity_name)) {
+      parentsByEntity.set(record.entity_name, new Set());
+    }
+    parentsByEntity.get(record.entity_name).add(record.parent_id);
+  }
+  
+  // Chunk entries of memories removed by an earlier version of delete were
+  // left in place, so the remaining entries are checked against the index
+  const keys = [];
+  for (const [entity, parents] of parentsByEntity) {
+    for (const parentId of parents) {
+      const chunks = await listDocumentChunks(entity, parentId, env);
+      const others = chunks.filter(chunk => !deleting.has(chunk.id));
+      if (await anyIndexed(entity, others.map(chunk => chunk.id), env)) {
+        const prefix = documentPrefix(entity, parentId);
+        keys.push(...chunks.filter(chunk => deleting.has(chunk.id)).map(chunk => documentChunkKey(prefix, chunk.chunk_index)));
+      } else {
+        keys.push(...await listDocumentKeys(entity, parentId, env));
+      }
+    }
+  }
+  
+  return keys;
+}
+
+/**
+ * Remove memories from Vectorize, the memory index and R2.
+ * records: [{ id, entity_name, chunk_hash, r2_key }]
+ *
+ * A chunk object is shared by every memory with the same content hash, so it
+ * is only deleted once no memory outside this batch still points at it.
+ */
+async function deleteMemories(records, env, dryRun) {
+  const ids = records.map(r => r.id);
+  const deleting = new Set(ids);
+  
+  const r2Keys = await unreferencedChunks(records.map(r => r.r2_key), deleting, env);
+  const revisionKeys = await listRevisionKeys(deleting, env);
+  const documentKeys = await documentKeysToDelete(records, deleting, env);
+  
+  const summary = {
+    dry_run: !!dryRun,
+    count: ids.length,
+    memory_ids: ids,
+    r2_objects: [...r2Keys, ...revisionKeys, ...documentKeys]
+  };
+  
+  if (dryRun || ids.length === 0) {
+    return summary;
+  }
+  
+  for (const batch of batches(ids, VECTORIZE_DELETE_BATCH)) {
+    await env.VECTORIZE.deleteByIds(batch);
+  }
+  
+  const indexKeys = records.map(r => memoryIndexKey(r.entity_name, r.id));
+  const refKeys = records.filter(r => r.r2_key).map(r => chunkRefKey(r.r2_key, r.id));
+  // Only a memory stored away from its content id can own a hash-ids entry
+  const hashIdKeys = [];
+  for (const record of records) {
+    if (record.chunk_hash && record.id !== await contentId(record.entity_name, record.chunk_hash)) {
+      hashIdKeys.push(hashIdKey(record.entity_name, record.chunk_hash));
+    }
+  }
+  for (const batch of batches([...indexKeys, ...refKeys, ...hashIdKeys, ...r2Keys, ...revisionKeys, ...documentKeys], R2_DELETE_BATCH)) {
+    await env.R2.delete(batch);
+  }
+  
+  await Promise.all(r2Keys.map(key => env.CACHE.delete(CHUNK_CACHE_PREFIX + key).catch(() => {})));
+  
+  for (const [entity, entityIds] of groupIdsByEntity(records)) {
+    await removeLexical(entity, entityIds, env);
+  }
+  await forgetMemoryState(records, env);
+  
+  await updateStats(env, stats => {
+    for (const record of records) {
+      countMemory(stats, record, -1);
+    }
+  });
+  
+  return summary;
+}
+
+async function toolDelete(args, env, auth) {
+  const { ids = [], dry_run = false } = args;
+  
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > DELETE_PAGE_SIZE) {
+    throw new ValidationError(`ids must be an array of 1 to ${DELETE_PAGE_SIZE} memory ids`);
+  }
+  
+  const vectors = await getVectorsByIds(ids, env);
+  for (const vector of vectors) {
+    assertEntityAccess(auth, vector.metadata?.entity_name);
+  }
+  
+  const found = new Set(vectors.map(v => v.id));
+  const records = vectors.map(v => ({ ...v.metadata, id: v.id }));
+  
+  const result = await deleteMemories(records, env, dry_run);
+  return {
+    ...result,
+    not_found: ids.filter(id => !found.has(id))
+  };
+}
+
+/**
+ * Delete the memories matching `matches` from one page of an entity's index.
+ * Returns the deleteMemories summary plus next_cursor, null after the last
+ * page. The R2 list cursor is positional by key, so deleting the entries of
+ * one page doesn't shift the next.
+ */
+async function deleteIndexPage(entity, cursor, matches, env, dryRun) {
+  const position = cursor ? decodeIndexCursor(cursor) : { r2: undefined, offset: 0 };
+  const page = await listMemoryIndexPage(env, entity, position.r2, DELETE_PAGE_SIZE);
+  const records = page.entries.filter(matches);
+  
+  return {
+    ...await deleteMemories(records, env, dryRun),
+    next_cursor: page.cursor ? encodeIndexCursor(page.cursor, position.offset + page.entries.length) : null
+  };
+}
+
+async function toolForgetSource(args, env) {
+  const { entity_name, source_file, conversation_id, cursor, dry_run = false } = args;
+  
+  if (!entity_name) {
+    throw new ValidationError('entity_name is required');
+  }
+  if (!source_file && !conversation_id) {
+    throw new ValidationError('source_file or conversation_id is required');
+  }
+  
+  const matches = entry =>
+    (!source_file || entry.source_file === source_file) &&
+    (!conversation_id || entry.conversation_id === String(conversation_id));
+  
+  return {
+    entity: entity_name,
+    source_file,
+    conversation_id,
+    ...await deleteIndexPage(entity_name, cursor, matches, env, dry_run)
+  };
+}
+
+async function toolPurgeEntity(args, env) {
+  const { entity_name, confirm, cursor, dry_run = false } = args;
+  
+  if (!entity_name) {
+    throw new ValidationError('entity_name is required');
+  }
+  if (!dry_run && confirm !== entity_name) {
+    throw new ValidationError(`Set confirm to "${entity_name}" to purge this entity`);
+  }
+  
+  return {
+    entity: entity_name,
+    ...await deleteIndexPage(entity_name, cursor, () => true, env, dry_run)
+  };
+}
+
+// ============================================================================
+// Tools: Update / Patch Metadata / History
+// ============================================================================
+
+// Prior versions of a memory live at revisions/<id>/<revised_at>.json
+const REVISION_PREFIX = 'revisions/';
+const PATCHABLE_FIELDS = ['tags', 'memory_type', 'timestamp', 'importance'];
+
+async function loadMemory(id, env, auth) {
+  if (!id) {
+    throw new ValidationError('id is required');
+  }
+  
+  const [vector] = await env.VECTORIZE.getByIds([id]);
+  if (!vector) {
+    throw new NotFoundError(`Memory not found: ${id}`);
+  }
+  
+  assertEntityAccess(auth, vector.metadata?.entity_name);
+  return vector;
+}
+
+async function memoryText(metadata, env) {
+  if (metadata?.r2_key) {
+    const text = await loadChunkText(metadata.r2_key, env);
+    if (text !== null) {
+      return text;
+    }
+  }
+  return metadata?.text_preview || '';
+}
+
+async function putRevision(vector, change, revisedAt, env) {
+  const text = await memoryText(vector.metadata, env);
+  await env.R2.put(`${REVISION_PREFIX}${vector.id}/${revisedAt}.json`, JSON.stringify({
+    id: vector.id,
+    change,
+    superseded_at: revisedAt,
+    text,
+    metadata: vector.metadata
+  }));
+}
+
+async function listRevisionKeys(ids, env) {
+  const keys = [];
+  
+  for (const id of ids) {
+    let cursor;
+    do {
+      const page = await env.R2.list({ prefix: `${REVISION_PREFIX}${id}/`, cursor });
+      keys.push(...page.objects.map(object => object.key));
+      cursor = page.truncated ? page.cursor : undefined;
+    } while (cursor);
+  }
+  
+  return keys;
+}
+
+async function toolUpdate(args, env, auth) {
+  const { id, text, metadata = {} } = args;
+  
+  if (!text) {
+    throw new ValidationError('text is required');
+  }
+  const overrides = {};
+  if (metadata.tags !== undefined) {
+    overrides.tags = normalizeTags(metadata.tags);
+  }
+  
+  const existing = await loadMemory(id, env, auth);
+  const revisedAt = new Date().toISOString();
+  await putRevision(existing, 'update', revisedAt, env);
+  
+  const hash = await hashContent(text);
+  const embedding = await generateEmbedding(text, env);
+  
+  const previousKey = existing.metadata.r2_key;
+  const kept = { ...existing.metadata };
+  delete kept.r2_key;
+  delete kept.r2_bytes;
+  const vectorMetadata = {
+    ...kept,
+    ...metadata,
+    ...overrides,
+    entity_name: kept.entity_name,
+    text_preview: text.slice(0, PREVIEW_LENGTH),
+    chunk_hash: hash,
+    revised_at: revisedAt,
+    revision: (kept.revision || 0) + 1
+  };
+  vectorMetadata.embedding_model = createEmbeddingProvider(env).model;
+  withTimestampMs(vectorMetadata);
+  
+  if (text.length > PREVIEW_LENGTH) {
+    const stored = await putChunk(hash, text, vectorMetadata, env);
+    vectorMetadata.r2_key = stored.key;
+    vectorMetadata.r2_bytes = stored.bytes;
+  }
+  
+  await env.VECTORIZE.upsert([{
+    id,
+    values: embedding,
+    namespace: existing.namespace || kept.entity_name,
+    metadata: vectorMetadata
+  }]);
+  if (id !== await contentId(kept.entity_name, hash)) {
+    await putHashId(kept.entity_name, hash, id, env);
+  }
+  await putMemoryIndex(id, vectorMetadata, env);
+  await removeLexical(kept.entity_name, [id], env);
+  await indexLexical(kept.entity_name, [{ id, text }], env);
+  await updateStats(env, stats => {
+    countMemory(stats, existing.metadata, -1);
+    countMemory(stats, vectorMetadata, 1);
+    stats.embedding_calls += 1;
+  });
+  
+  if (previousKey && previousKey !== vectorMetadata.r2_key) {
+    await env.R2.delete(chunkRefKey(previousKey, id));
+    const orphaned = await unreferencedChunks([previousKey], new Set(), env);
+    if (orphaned.length > 0) {
+      await env.R2.delete(orphaned);
+    }
+  }
+  
+  return {
+    success: true,
+    memory_id: id,
+    revision: vectorMetadata.revision,
+    revised_at: revisedAt
+  };
+}
+
+async function toolGetMemory(args, env, auth, ctx) {
+  const memory = await loadMemory(args.id, env, auth);
+  const text = await memoryText(memory.metadata, env);
+  
+  // Counts this read too, as recordAccess may finish after the response
+  const access = (await loadAccessCounts([memory], env))[memory.id];
+  await recordAccess([memory], env, ctx);
+  
+  return {
+    id: memory.id,
+    text,
+    metadata: memory.metadata,
+    access_count: (access?.count || 0) + 1,
+    last_accessed: new Date().toISOString(),
+    formatted: formatAttribution({ metadata: memory.metadata, text })
+  };
+}
+
+async function toolPatchMetadata(args, env, auth) {
+  const { id } = args;
+  
+  const patch = {};
+  for (const field of PATCHABLE_FIELDS) {
+    if (args[field] !== undefined) {
+      patch[field] = args[field];
+    }
+  }
+  if (Object.keys(patch).length === 0) {
+    throw new ValidationError(`Nothing to patch - pass one of: ${PATCHABLE_FIELDS.join(', ')}`);
+  }
+  if (patch.importance !== undefined) {
+    patch.importance = resolveImportance(patch.importance);
+  }
+  if (patch.tags !== undefined) {
+    patch.tags = normalizeTags(patch.tags);
+  }
+  
+  const existing = await loadMemory(id, env, auth);
+  const revisedAt = new Date().toISOString();
+  await putRevision(existing, 'patch_metadata', revisedAt, env);
+  
+  const vectorMetadata = {
+    ...existing.metadata,
+    ...patch,
+    revised_at: revisedAt,
+    revision: (existing.metadata.revision || 0) + 1
+  };
+  withTimestampMs(vectorMetadata);
+  
+  await env.VECTORIZE.upsert([{
+    id,
+    values: existing.values,
+    namespace: existing.namespace || vectorMetadata.entity_name,
+    metadata: vectorMetadata
+  }]);
+  await putMemoryIndex(id, vectorMetadata, env);
+  await updateStats(env, stats => {
+    countMemory(stats, existing.metadata, -1);
+    countMemory(stats, vectorMetadata, 1);
+  });
+  
+  return {
+    success: true,
+    memory_id: id,
+    patched: Object.keys(patch),
+    revision: vectorMetadata.revision,
+    revised_at: revisedAt
+  };
+}
+
+function changedFields(before, after) {
+  const ignored = new Set(['revised_at', 'revision', 'text_preview', 'chunk_hash', 'r2_key', 'r2_bytes']);
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(key =>
+    !ignored.has(key) && JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])
+  );
+}
+
+async function toolPin(args, env, auth) {
+  const { id, pinned = true } = args;
+  
+  const existing = await loadMemory(id, env, auth);
+  const entity = existing.metadata.entity_name;
+  const vectorMetadata = { ...existing.metadata };
+  if (pinned) {
+    vectorMetadata.pinned = true;
+  } else {
+    delete vectorMetadata.pinned;
+  }
+  
+  await env.VECTORIZE.upsert([{
+    id,
+    values: existing.values,
+    namespace: existing.namespace || entity,
+    metadata: vectorMetadata
+  }]);
+  await setPinned(entity, id, pinned, env);
+  
+  return {
+    success: true,
+    memory_id: id,
+    entity,
+    pinned,
+    pinned_count: (await loadPins(entity, env)).length
+  };
+}
+
+async function toolHistory(args, env, auth) {
+  const { id } = args;
+  
+  const current = await loadMemory(id, env, auth);
+  
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.R2.list({ prefix: `${REVISION_PREFIX}${id}/`, cursor });
+    keys.push(...page.objects.map(o => o.key));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  keys.sort();
+  
+  const versions = await mapConcurrent(keys, R2_FETCH_CONCURRENCY, async (key) => {
+    const object = await env.R2.get(key);
+    return object ? await object.json() : null;
+  });
+  
+  versions.push({
+    id,
+    change: null,
+    text: await memoryText(current.metadata, env),
+    metadata: current.metadata
+  });
+  
+  const history = versions.filter(Boolean).map((version, i, all) => ({
+    revision: version.metadata?.revision || 0,
+    valid_from: version.metadata?.revised_at || version.metadata?.ingested_at,
+    valid_until: version.superseded_at || null,
+    current: i === all.length - 1,
+    text: version.text,
+    changed: i === 0 ? null : {
+      text: all[i - 1].text !== version.text,
+      fields: changedFields(all[i - 1].metadata, version.metadata),
+      by: all[i - 1].change
+    },
+    metadata: version.metadata
+  }));
+  
+  return {
+    memory_id: id,
+    revisions: history.length - 1,
+    history
+  };
+}
+
+// ============================================================================
+// Tool: Stats
+// ============================================================================
+
+async function toolStats(args, env, auth) {
+  const { entity } = args;
+  let stats = emptyStats();
+  
+  try {
+    const cached = await env.CACHE.get(STATS_KEY, 'json');
+    if (cached) {
+      stats = cached;
+    }
+  } catch (e) {
+    // KV might not exist yet
+  }
+  
+  let entities = stats.entities;
+  if (Array.isArray(entity)) {
+    entities = Object.fromEntries(Object.entries(entities).filter(([name]) => entity.includes(name)));
+  } else if (entity && entity !== 'all') {
+    entities = { [entity]: stats.entities[entity] || entityStats(emptyStats(), entity) };
+  }
+  
+  // An entity-scoped token only sees totals over its own entities; embedding
+  // calls are not counted per entity, so they are left out
+  const scoped = auth && !auth.entities.includes('*');
+  const totals = scoped ? {
+    vector_count_estimate: stats.last_updated ? Object.values(entities).reduce((sum, e) => sum + e.vectors, 0) : 'unknown',
+    r2_bytes: Object.values(entities).reduce((sum, e) => sum + e.r2_bytes, 0)
+  } : {
+    vector_count_estimate: stats.last_updated ? stats.vector_count : 'unknown',
+    embedding_calls: stats.embedding_calls,
+    r2_bytes: stats.r2_bytes
+  };
+  
+  return {
+    index: 'unified-mind-index',
+    last_updated: stats.last_updated || 'unknown',
+    ...totals,
+    entities,
+    storage: {
+      r2_bucket: 'unified-mind-storage',
+      kv_namespace: 'unified-mind-cache'
+    }
+  };
+}
+
+/**
+ * Rebuild the counters from the R2 memory index and chunk objects. The
+ * embedding call count cannot be recovered and is carried over.
+ */
+async function toolRecomputeStats(env) {
+  let previous = null;
+  try {
+    previous = await env.CACHE.get(STATS_KEY, 'json');
+  } catch (e) {
+    // Start from scratch
+  }
+  
+  const stats = emptyStats();
+  stats.embedding_calls = previous?.embedding_calls || 0;
+  
+  for (const entry of await listMemoryIndex(env)) {
+    countMemory(stats, entry, 1);
+    const entity = entityStats(stats, entry.entity_name || 'unknown');
+    if (entry.ingested_at && (!entity.last_ingest || entry.ingested_at > entity.last_ingest)) {
+      entity.last_ingest = entry.ingested_at;
+    }
+  }
+  
+  // Chunk objects are shared across entities, so the total comes from R2 itself
+  let chunkBytes = 0;
+  let cursor;
+  do {
+    const page = await env.R2.list({ prefix: 'chunks/', cursor });
+    chunkBytes += page.objects.reduce((sum, o) => sum + o.size, 0);
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  stats.r2_bytes = chunkBytes;
+  
+  stats.last_updated = new Date().toISOString();
+  await env.CACHE.put(STATS_KEY, JSON.stringify(stats));
+  
+  return {
+    success: true,
+    previous_vector_count: previous?.vector_count ?? null,
+    vector_count: stats.vector_count,
+    r2_bytes: stats.r2_bytes,
+    entities: Object.keys(stats.entities).length
+  };
+}
+
+const BACKFILL_MAX_IDS = 100;
+
+/**
+ * Index vectors that have no memory index entry (written before the index
+ * existed) so the tools that walk the index see them, and rewrite the chunk
+ * references of the ones that do (written before references existed). The
+ * binding has no way to list vectors, so the ids come from the caller. The
+ * counters are left to recompute_stats.
+ */
+async function toolBackfillIndex(args, env) {
+  const { ids, dry_run = false } = args;
+  
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > BACKFILL_MAX_IDS || ids.some(id => typeof id !== 'string')) {
+    throw new ValidationError(`ids must be an array of 1 to ${BACKFILL_MAX_IDS} vector ids`);
+  }
+  
+  const vectors = (await getVectorsByIds(ids, env)).filter(v => v.metadata?.entity_name);
+  const indexed = new Set();
+  for (const [entity, entityIds] of groupIdsByEntity(vectors)) {
+    (await indexedIds(entity, entityIds, env)).forEach(id => indexed.add(id));
+  }
+  const missing = vectors.filter(v => !indexed.has(v.id));
+  const found = new Set(vectors.map(v => v.id));
+  
+  const summary = {
+    dry_run: !!dry_run,
+    checked: ids.length,
+    backfilled: missing.length,
+    already_indexed: indexed.size,
+    not_found: ids.filter(id => !found.has(id)),
+    memory_ids: missing.map(v => v.id)
+  };
+  
+  if (dry_run) {
+    return summary;
+  }
+  
+  await mapConcurrent(vectors.filter(v => indexed.has(v.id) && v.metadata.r2_key), R2_WRITE_CONCURRENCY,
+    v => env.R2.put(chunkRefKey(v.metadata.r2_key, v.id), ''));
+  
+  // Lexical entries before index entries, as in ingest, so a re-run after a
+  // failure finds the same ids missing and replaces their lexical entries
+  for (const [entity, entityIds] of groupIdsByEntity(missing)) {
+    const memories = missing.filter(v => entityIds.includes(v.id));
+    const texts = await mapConcurrent(memories, R2_FETCH_CONCURRENCY, v => memoryText(v.metadata, env));
+    await removeLexical(entity, entityIds, env);
+    await indexLexical(entity, memories.map((v, i) => ({ id: v.id, text: texts[i] })), env);
+  }
+  // Older versions drew random ids, so store and ingest find these through hash-ids
+  await mapConcurrent(missing, R2_WRITE_CONCURRENCY, async (v) => {
+    if (v.metadata.chunk_hash && v.id !== await contentId(v.metadata.entity_name, v.metadata.chunk_hash)) {
+      await putHashId(v.metadata.entity_name, v.metadata.chunk_hash, v.id, env);
+    }
+  });
+  await mapConcurrent(missing, R2_WRITE_CONCURRENCY, v => putMemoryIndex(v.id, v.metadata, env));
+  
+  return summary;
+}
+
+// ============================================================================
+// Tool: Facets
+// ============================================================================
+
+// Counted from the R2 memory index, so no vectors are read. Memories indexed
+// before tags and conversation titles were added to it count as untagged.
+const FACET_LIMIT = 50;
+
+function topValues(counts, limit) {
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([value, count]) => ({ value, count }));
+}
+
+async function toolFacets(args, env) {
+  const { entity_name, since, until, limit = FACET_LIMIT } = args;
+  
+  if (!entity_name) {
+    throw new ValidationError('entity_name is required');
+  }
+  
+  const sinceMs = since !== undefined ? parseDateArg('since', since) : -Infinity;
+  const untilMs = until !== undefined ? parseDateArg('until', until) : Infinity;
+  const entries = (await listMemoryIndex(env, entity_name)).filter(e => {
+    const time = memoryTimeMs(e);
+    return time >= sinceMs && time <= untilMs;
+  });
   
-  let currentTokens = estimateTokens(context);
-  const includedMemories = [];
+  const tags = new Map();
+  const platforms = new Map();
+  const types = new Map();
+  const conversations = new Map();
+  let untagged = 0;
   
-  for (const memory of searchResult.memories) {
-    const memoryText = memory.formatted;
-    const memoryTokens = estimateTokens(memoryText);
+  for (const entry of entries) {
+    const entryTags = indexTags(entry);
+    if (entryTags.length === 0) {
+      untagged++;
+    }
+    entryTags.forEach(tag => tags.set(tag, (tags.get(tag) || 0) + 1));
+    platforms.set(entry.source_platform || 'unknown', (platforms.get(entry.source_platform || 'unknown') || 0) + 1);
+    types.set(entry.memory_type || 'unknown', (types.get(entry.memory_type || 'unknown') || 0) + 1);
     
-    if (currentTokens + memoryTokens <= max_tokens) {
-      context += memoryText + '\n';
-      currentTokens += memoryTokens;
-      includedMemories.push(memory.id);
-    } else {
-      break;
+    if (entry.conversation_id) {
+      if (!conversations.has(entry.conversation_id)) {
+        conversations.set(entry.conversation_id, {
+          conversation_id: entry.conversation_id,
+          title: entry.conversation_title || null,
+          count: 0,
+          first_timestamp: entry.timestamp || null,
+          last_timestamp: entry.timestamp || null
+        });
+      }
+      const conversation = conversations.get(entry.conversation_id);
+      conversation.count++;
+      conversation.title = conversation.title || entry.conversation_title || null;
+      if (entry.timestamp && (!conversation.first_timestamp || entry.timestamp < conversation.first_timestamp)) {
+        conversation.first_timestamp = entry.timestamp;
+      }
+      if (entry.timestamp && (!conversation.last_timestamp || entry.timestamp > conversation.last_timestamp)) {
+        conversation.last_timestamp = entry.timestamp;
+      }
+    }
+  }
+  
+  return {
+    entity: entity_name,
+    total: entries.length,
+    untagged,
+    distinct: {
+      tags: tags.size,
+      source_platform: platforms.size,
+      memory_type: types.size,
+      conversations: conversations.size
+    },
+    facets: {
+      tags: topValues(tags, limit),
+      source_platform: topValues(platforms, limit),
+      memory_type: topValues(types, limit),
+      conversations: [...conversations.values()]
+        .sort((a, b) => b.count - a.count || String(b.last_timestamp).localeCompare(String(a.last_timestamp)))
+        .slice(0, limit)
+    }
+  };
+}
+
+// ============================================================================
+// Tool: Re-embed (index migration)
+// ============================================================================
+
+const REEMBED_MAX_BATCH = 200;
+
+/**
+ * Copy memories into another Vectorize index with a different embedding
+ * model. Text comes from the R2 chunk copies (or the preview, which is the
+ * whole text for short memories). Run repeatedly with next_cursor until it
+ * comes back null, then point the VECTORIZE binding at the new index.
+ */
+async function toolReembed(args, env) {
+  const { target_index, provider, model, dimensions, entity_name, cursor, limit = 100, dry_run = false } = args;
+  
+  const target = env[target_index];
+  if (!target_index || typeof target?.upsert !== 'function') {
+    throw new ValidationError(`target_index must name a Vectorize binding: ${target_index}`);
+  }
+  if (target === env.VECTORIZE) {
+    throw new ValidationError('target_index must differ from the active VECTORIZE index');
+  }
+  
+  const embedder = createEmbeddingProvider(env, { provider, model, dimensions });
+  const { r2, offset } = cursor ? decodeIndexCursor(cursor) : { r2: undefined, offset: 0 };
+  const listed = await listMemoryIndexPage(env, entity_name || null, r2, Math.max(1, Math.min(limit, REEMBED_MAX_BATCH)));
+  const page = listed.entries;
+  
+  const summary = {
+    target_index,
+    embedding_provider: embedder.provider,
+    embedding_model: embedder.model,
+    dimensions: embedder.dimensions,
+    offset,
+    next_cursor: listed.cursor ? encodeIndexCursor(listed.cursor, offset + page.length) : null
+  };
+  
+  if (dry_run) {
+    return { ...summary, dry_run: true, would_process: page.length };
+  }
+  
+  const vectors = await getVectorsByIds(page.map(e => e.id), env);
+  const texts = await mapConcurrent(vectors, R2_FETCH_CONCURRENCY, v => memoryText(v.metadata, env));
+  const embeddings = await generateEmbeddings(texts, env, embedder);
+  
+  for (const batch of batches(vectors.map((v, i) => ({ v, values: embeddings[i] })), VECTORIZE_UPSERT_BATCH)) {
+    await target.upsert(batch.map(({ v, values }) => ({
+      id: v.id,
+      values,
+      namespace: v.namespace || v.metadata?.entity_name,
+      metadata: { ...v.metadata, embedding_model: embedder.model }
+    })));
+  }
+  
+  await updateStats(env, stats => {
+    stats.embedding_calls += Math.ceil(texts.length / embedder.batchSize);
+  });
+  
+  return {
+    ...summary,
+    processed: vectors.length,
+    missing: page.length - vectors.length
+  };
+}
+
+// ============================================================================
+// Tools: Export / Import
+// ============================================================================
+
+// Archive format: JSON lines, a header followed by one line per memory
+//   { type: 'header', format: 'unified-mind-export', version, exported_at, embedding_model, dimensions }
+//   { type: 'memory', id, namespace, text, metadata, values? }
+const EXPORT_FORMAT = 'unified-mind-export';
+const EXPORT_VERSION = 1;
+const EXPORT_MAX_PAGE = 200;
+const IMPORT_MAX_BATCH = 500;
+
+// Derived on import from where the text is stored now
+const IMPORT_DERIVED_FIELDS = ['r2_key', 'r2_bytes', 'text_preview'];
+
+async function toolExport(args, env) {
+  const { entity_name, include_vectors = false, limit = 100, cursor } = args;
+  
+  const { r2, offset } = cursor ? decodeIndexCursor(cursor) : { r2: undefined, offset: 0 };
+  const listed = await listMemoryIndexPage(env, entity_name || null, r2, Math.max(1, Math.min(limit, EXPORT_MAX_PAGE)));
+  const page = listed.entries;
+  
+  const vectors = await getVectorsByIds(page.map(e => e.id), env);
+  const texts = await mapConcurrent(vectors, R2_FETCH_CONCURRENCY, v => memoryText(v.metadata, env));
+  
+  const lines = [];
+  if (offset === 0) {
+    const provider = createEmbeddingProvider(env);
+    lines.push({
+      type: 'header',
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      entity: entity_name || 'all',
+      embedding_model: provider.model,
+      dimensions: provider.dimensions
+    });
+  }
+  
+  vectors.forEach((v, i) => lines.push({
+    type: 'memory',
+    id: v.id,
+    namespace: v.namespace || v.metadata?.entity_name,
+    text: texts[i],
+    metadata: v.metadata,
+    ...(include_vectors ? { values: Array.from(v.values || []) } : {})
+  }));
+  
+  return {
+    offset,
+    count: vectors.length,
+    missing: page.length - vectors.length,
+    next_cursor: listed.cursor ? encodeIndexCursor(listed.cursor, offset + page.length) : null,
+    jsonl: lines.map(line => JSON.stringify(line)).join('\n')
+  };
+}
+
+async function toolImport(args, env, auth) {
+  const { records, reembed = false, dry_run = false } = args;
+  
+  if (!Array.isArray(records) || records.length > IMPORT_MAX_BATCH) {
+    throw new ValidationError(`records must be an array of at most ${IMPORT_MAX_BATCH} export lines`);
+  }
+  
+  const memories = records.filter(r => r.type === undefined || r.type === 'memory');
+  for (const record of memories) {
+    if (!record.id || typeof record.text !== 'string' || !record.metadata?.entity_name) {
+      throw new ValidationError(`Invalid export record: ${JSON.stringify(record).slice(0, 100)}`);
     }
+    assertEntityAccess(auth, record.metadata.entity_name);
   }
   
-  return {
-    context,
-    token_estimate: currentTokens,
-    memories_included: includedMemories.length,
-    total_available: searchResult.count
+  const existing = new Set((await getVectorsByIds(memories.map(r => r.id), env)).map(v => v.id));
+  const pending = memories.filter(r => !existing.has(r.id));
+  
+  const provider = createEmbeddingProvider(env);
+  const reusable = r => !reembed && Array.isArray(r.values) && r.values.length === provider.dimensions &&
+    r.metadata.embedding_model === provider.model;
+  const toEmbed = pending.filter(r => !reusable(r));
+  
+  const summary = {
+    dry_run: !!dry_run,
+    imported: pending.length,
+    skipped_existing: memories.length - pending.length,
+    reembedded: toEmbed.length,
+    memory_ids: pending.map(r => r.id)
   };
-}
-
-// ============================================================================
-// Tool: Ingest
-// ============================================================================
-
-async function toolIngest(args, env) {
-  const { content, entity_name, source_platform, memory_type, metadata = {} } = args;
   
-  const maxChunkTokens = parseInt(env.MAX_CHUNK_TOKENS) || 400;
-  const chunkOverlap = parseInt(env.CHUNK_OVERLAP) || 50;
-  const chunks = chunkText(content, maxChunkTokens, chunkOverlap);
+  if (dry_run || pending.length === 0) {
+    return summary;
+  }
   
-  const results = [];
-  const timestamp = new Date().toISOString();
+  const embeddings = await generateEmbeddings(toEmbed.map(r => r.text), env, provider);
+  const values = new Map(toEmbed.map((r, i) => [r.id, embeddings[i]]));
   
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
-    const hash = await hashContent(chunk);
-    const id = generateId();
+  const imported = await mapConcurrent(pending, R2_WRITE_CONCURRENCY, async (record) => {
+    const metadata = { ...record.metadata };
+    for (const field of IMPORT_DERIVED_FIELDS) {
+      delete metadata[field];
+    }
+    metadata.text_preview = record.text.slice(0, PREVIEW_LENGTH);
+    metadata.chunk_hash = metadata.chunk_hash || await hashContent(record.text);
+    if (values.has(record.id)) {
+      metadata.embedding_model = provider.model;
+    }
+    withTimestampMs(metadata);
     
-    const embedding = await generateEmbedding(chunk, env);
+    if (record.text.length > PREVIEW_LENGTH) {
+      const stored = await putChunk(metadata.chunk_hash, record.text, metadata, env);
+      metadata.r2_key = stored.key;
+      metadata.r2_bytes = stored.bytes;
+    }
     
-    const vectorMetadata = {
-      entity_name,
-      source_platform,
-      memory_type,
-      timestamp: metadata.timestamp || timestamp,
-      text_preview: chunk.slice(0, 500),
-      chunk_hash: hash,
-      chunk_index: i,
-      total_chunks: chunks.length,
-      ingested_at: timestamp,
-      ...metadata
+    return {
+      id: record.id,
+      text: record.text,
+      // The namespace is what entity-scoped queries filter on, so it always
+      // follows the (access-checked) entity_name rather than the archive
+      namespace: metadata.entity_name,
+      values: values.get(record.id) || record.values,
+      metadata
     };
-    
-    if (chunk.length > 500) {
-      const r2Key = `chunks/${hash}.json`;
-      await env.R2.put(r2Key, JSON.stringify({
-        hash,
-        text: chunk,
-        metadata: vectorMetadata
-      }));
-      vectorMetadata.r2_key = r2Key;
+  });
+  
+  for (const batch of batches(imported, VECTORIZE_UPSERT_BATCH)) {
+    await env.VECTORIZE.upsert(batch.map(m => ({
+      id: m.id,
+      values: m.values,
+      namespace: m.namespace,
+      metadata: m.metadata
+    })));
+  }
+  await mapConcurrent(imported, R2_WRITE_CONCURRENCY, m => putMemoryIndex(m.id, m.metadata, env));
+  
+  const byEntity = new Map();
+  for (const memory of imported) {
+    const entity = memory.metadata.entity_name;
+    if (!byEntity.has(entity)) {
+      byEntity.set(entity, []);
     }
-    
-    await env.VECTORIZE.upsert([{
-      id,
-      values: embedding,
-      namespace: entity_name,
-      metadata: vectorMetadata
-    }]);
-    
-    results.push({ id, hash, chunk_index: i });
+    byEntity.get(entity).push(memory);
   }
   
-  return {
-    success: true,
-    entity: entity_name,
-    chunks_created: results.length,
-    memory_ids: results.map(r => r.id)
-  };
+  for (const [entity, entityMemories] of byEntity) {
+    await restoreDocuments(entity, entityMemories, env);
+    await indexLexical(entity, entityMemories.map(m => ({ id: m.id, text: m.text })), env);
+    await recordIngest(env, entity, entityMemories.map(m => m.metadata), 0);
+  }
+  await updateStats(env, stats => {
+    stats.embedding_calls += embeddingCalls(toEmbed.length, env);
+  });
+  
+  return summary;
+}
+
+/**
+ * Re-link imported chunks to their parent documents. The original content
+ * isn't part of an export, so a new manifest only carries the source info
+ * and get_document joins the chunks instead.
+ */
+async function restoreDocuments(entity, memories, env) {
+  const byParent = new Map();
+  for (const memory of memories) {
+    const parentId = memory.metadata.parent_id;
+    if (parentId && Number.isInteger(memory.metadata.chunk_index)) {
+      if (!byParent.has(parentId)) {
+        byParent.set(parentId, []);
+      }
+      byParent.get(parentId).push(memory);
+    }
+  }
+  
+  for (const [parentId, chunks] of byParent) {
+    const first = chunks[0].metadata;
+    const hasManifest = await env.R2.head(documentPrefix(entity, parentId) + 'manifest.json');
+    
+    await putDocument(entity, parentId, hasManifest ? null : {
+      parent_id: parentId,
+      entity_name: entity,
+      source_platform: first.source_platform,
+      memory_type: first.memory_type,
+      source_file: first.source_file,
+      conversation_id: first.conversation_id,
+      title: first.conversation_title || first.title,
+      created_at: first.ingested_at,
+      total_chunks: first.total_chunks
+    }, chunks.map(m => ({
+      id: m.id,
+      chunk_index: m.metadata.chunk_index,
+      section_path: m.metadata.section_path
+    })), env);
+  }
 }
 
 // ============================================================================
-// Tool: Store
+// Embedding Generation
 // ============================================================================
 
-async function toolStore(args, env) {
-  const { text, entity_name, source_platform = 'direct', memory_type, metadata = {} } = args;
+// EMBEDDING_PROVIDER selects how text becomes vectors:
+//   workers-ai  Workers AI text embedding models (default)
+//   openai      any OpenAI-compatible /embeddings endpoint (EMBEDDING_API_URL, EMBEDDING_API_KEY)
+//   stub        deterministic hashed bag-of-words vectors - no network, for local dev and tests
+// EMBEDDING_MODEL picks the model; EMBEDDING_DIMENSIONS overrides the known size.
+const DEFAULT_EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+
+const EMBEDDING_DIMENSIONS = {
+  '@cf/baai/bge-small-en-v1.5': 384,
+  '@cf/baai/bge-base-en-v1.5': 768,
+  '@cf/baai/bge-large-en-v1.5': 1024,
+  '@cf/baai/bge-m3': 1024,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+
+// Input limit per model in tokens, special tokens included. Chunks are sized
+// to fit; models not listed get the smallest limit.
+const EMBEDDING_MAX_TOKENS = {
+  '@cf/baai/bge-small-en-v1.5': 512,
+  '@cf/baai/bge-base-en-v1.5': 512,
+  '@cf/baai/bge-large-en-v1.5': 512,
+  '@cf/baai/bge-m3': 8192,
+  'text-embedding-3-small': 8191,
+  'text-embedding-3-large': 8191,
+  'text-embedding-ada-002': 8191
+};
+const DEFAULT_EMBEDDING_MAX_TOKENS = 512;
+
+const EMBEDDING_PROVIDERS = {
+  'workers-ai': (env, model) => ({
+    model: model || DEFAULT_EMBEDDING_MODEL,
+    batchSize: 100,
+    async embed(texts) {
+      const response = await env.AI.run(this.model, { text: texts });
+      return response.data;
+    }
+  }),
   
-  const id = generateId();
-  const timestamp = new Date().toISOString();
-  const hash = await hashContent(text);
+  openai: (env, model) => ({
+    model: model || 'text-embedding-3-small',
+    batchSize: 256,
+    async embed(texts) {
+      if (!env.EMBEDDING_API_URL) {
+        throw new Error('EMBEDDING_API_URL is required for the openai embedding provider');
+      }
+      
+      const body = { model: this.model, input: texts };
+      if (this.configuredDimensions) {
+        body.dimensions = this.configuredDimensions;
+      }
+      
+      const response = await fetch(`${env.EMBEDDING_API_URL.replace(/\/$/, '')}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${env.EMBEDDING_API_KEY || ''}`
+        },
+        body: JSON.stringify(body)
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Embedding API error ${response.status}: ${await response.text()}`);
+      }
+      
+      const result = await response.json();
+      return result.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+    }
+  }),
   
-  const embedding = await generateEmbedding(text, env);
+  stub: (env, model) => ({
+    model: model || 'stub-hash-v1',
+    batchSize: 1000,
+    async embed(texts) {
+      return texts.map(text => stubEmbedding(text, this.dimensions));
+    }
+  })
+};
+
+function stubEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  for (const term of tokenize(text)) {
+    vector[termHash(term) % dimensions] += 1;
+  }
+  vector[0] += 1e-3; // keep empty texts away from the zero vector
   
-  const vectorMetadata = {
-    entity_name,
-    source_platform,
-    memory_type,
-    timestamp: metadata.timestamp || timestamp,
-    text_preview: text.slice(0, 500),
-    chunk_hash: hash,
-    ingested_at: timestamp,
-    ...metadata
-  };
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return vector.map(v => v / norm);
+}
+
+/**
+ * Build the embedding provider from env, optionally overriding provider,
+ * model and dimensions (re-embedding into a new index uses a different model
+ * than search, so the EMBEDDING_* vars do not apply to it).
+ */
+function createEmbeddingProvider(env, { provider, model, dimensions } = {}) {
+  const overridden = !!(provider || model);
+  const name = provider || env.EMBEDDING_PROVIDER || 'workers-ai';
+  const factory = EMBEDDING_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${name} (expected ${Object.keys(EMBEDDING_PROVIDERS).join(', ')})`);
+  }
   
-  await env.VECTORIZE.upsert([{
-    id,
-    values: embedding,
-    namespace: entity_name,
-    metadata: vectorMetadata
-  }]);
+  const instance = factory(env, model || (overridden ? null : env.EMBEDDING_MODEL));
+  instance.provider = name;
+  instance.configuredDimensions = parseInt(dimensions) || (overridden ? null : parseInt(env.EMBEDDING_DIMENSIONS)) || null;
+  instance.dimensions = instance.configuredDimensions || EMBEDDING_DIMENSIONS[instance.model] || 768;
+  instance.maxTokens = EMBEDDING_MAX_TOKENS[instance.model] || DEFAULT_EMBEDDING_MAX_TOKENS;
+  return instance;
+}
+
+/**
+ * Chunk size for ingest: MAX_CHUNK_TOKENS (default 400), capped so a chunk
+ * fits the embedding model's input.
+ */
+function chunkTokenLimit(env, provider) {
+  return Math.min(parseInt(env.MAX_CHUNK_TOKENS) || 400, provider.maxTokens - SPECIAL_TOKENS);
+}
+
+function embeddingCalls(count, env) {
+  return Math.ceil(count / createEmbeddingProvider(env).batchSize);
+}
+
+async function generateEmbeddings(texts, env, provider = createEmbeddingProvider(env)) {
+  const embeddings = [];
   
-  return {
-    success: true,
-    memory_id: id,
-    entity: entity_name,
-    type: memory_type
-  };
+  for (const batch of batches(texts, provider.batchSize)) {
+    embeddings.push(...await provider.embed(batch));
+  }
+  
+  return embeddings;
+}
+
+async function generateEmbedding(text, env) {
+  const [embedding] = await generateEmbeddings([text], env);
+  return embedding;
 }
 
 // ============================================================================
-// Tool: Stats
+// Summarization
 // ============================================================================
 
-async function toolStats(env) {
-  let stats = {};
+// Text models for consolidate, picked like embeddings: SUMMARY_PROVIDER /
+// SUMMARY_MODEL vars. Each provider turns a cluster's texts into one summary.
+const DEFAULT_SUMMARY_MODEL = '@cf/meta/llama-3.1-8b-instruct';
+const SUMMARY_MAX_TOKENS = 400;
+
+function summaryMessages(texts, entity) {
+  return [
+    {
+      role: 'system',
+      content: `You condense memories belonging to ${entity} into one reflection. Write a short paragraph ` +
+        `(at most 6 sentences) that keeps names, decisions, dates and open questions. ` +
+        `Use only what the memories say. Reply with the reflection text only.`
+    },
+    {
+      role: 'user',
+      content: texts.map((text, i) => `Memory ${i + 1}:\n${text}`).join('\n\n')
+    }
+  ];
+}
+
+const SUMMARY_PROVIDERS = {
+  'workers-ai': (env, model) => ({
+    model: model || DEFAULT_SUMMARY_MODEL,
+    async summarize(texts, entity) {
+      const response = await env.AI.run(this.model, {
+        messages: summaryMessages(texts, entity),
+        max_tokens: SUMMARY_MAX_TOKENS
+      });
+      return response.response;
+    }
+  }),
   
-  try {
-    const cached = await env.CACHE.get('unified-mind:stats', 'json');
-    if (cached) {
-      stats = cached;
+  openai: (env, model) => ({
+    model: model || 'gpt-4o-mini',
+    async summarize(texts, entity) {
+      if (!env.SUMMARY_API_URL) {
+        throw new Error('SUMMARY_API_URL is required for the openai summary provider');
+      }
+      
+      const response = await fetch(`${env.SUMMARY_API_URL.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${env.SUMMARY_API_KEY || ''}`
+        },
+        body: JSON.stringify({
+          model: this.model,
+          messages: summaryMessages(texts, entity),
+          max_tokens: SUMMARY_MAX_TOKENS
+        })
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Summary API error ${response.status}: ${await response.text()}`);
+      }
+      
+      const result = await response.json();
+      return result.choices[0].message.content;
     }
-  } catch (e) {
-    // KV might not exist yet
-  }
+  }),
   
-  return {
-    index: 'unified-mind-index',
-    last_updated: stats.last_updated || 'unknown',
-    vector_count_estimate: stats.vector_count || 'unknown',
-    storage: {
-      r2_bucket: 'unified-mind-storage',
-      kv_namespace: 'unified-mind-cache'
+  // Deterministic and offline: the first sentence of each memory
+  stub: (env, model) => ({
+    model: model || 'stub-extract-v1',
+    async summarize(texts, entity) {
+      const sentences = texts.map(text => text.trim().split(/(?<=[.!?])\s+/)[0]);
+      return `Reflection on ${texts.length} memories of ${entity}: ${sentences.join(' ')}`;
     }
-  };
+  })
+};
+
+function createSummaryProvider(env) {
+  const name = env.SUMMARY_PROVIDER || 'workers-ai';
+  const factory = SUMMARY_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown summary provider: ${name} (expected ${Object.keys(SUMMARY_PROVIDERS).join(', ')})`);
+  }
+  
+  const instance = factory(env, env.SUMMARY_MODEL);
+  instance.provider = name;
+  return instance;
 }
 
 // ============================================================================
-// Embedding Generation
+// REST API
 // ============================================================================
 
-async function generateEmbedding(text, env) {
-  const response = await env.AI.run('@cf/baai/bge-base-en-v1.5', {
-    text: [text]
+// Plain HTTP routes over the same tools, auth and scoping as MCP, for callers
+// that don't speak JSON-RPC. Bodies and responses are the tools' JSON.
+const REST_ROUTES = [
+  { method: 'GET', path: /^\/memories\/search$/, handler: restSearch },
+  { method: 'POST', path: /^\/memories$/, handler: restCreate, status: createdStatus },
+  { method: 'GET', path: /^\/memories\/([^/]+)$/, handler: restGetMemory },
+  { method: 'PATCH', path: /^\/memories\/([^/]+)$/, handler: restPatchMemory },
+  { method: 'DELETE', path: /^\/memories\/([^/]+)$/, handler: restDeleteMemory },
+  { method: 'GET', path: /^\/entities\/([^/]+)\/stats$/, handler: restEntityStats },
+  { method: 'GET', path: /^\/entities\/([^/]+)\/facets$/, handler: restEntityFacets }
+];
+
+const REST_STATUS_BY_CODE = { [-32001]: 401, [-32003]: 403, [-32602]: 400 };
+
+function matchRestRoute(method, pathname) {
+  let pathMatched = false;
+  
+  for (const route of REST_ROUTES) {
+    const match = pathname.match(route.path);
+    if (!match) {
+      continue;
+    }
+    if (route.method === method) {
+      try {
+        return { route, params: match.slice(1).map(decodeURIComponent) };
+      } catch (e) {
+        // Malformed percent-encoding such as %E0%A4%A
+        return { invalidPath: true };
+      }
+    }
+    pathMatched = true;
+  }
+  return pathMatched ? { methodNotAllowed: true } : null;
+}
+
+function toolSchema(name) {
+  return MCP_TOOLS.find(tool => tool.name === name).inputSchema;
+}
+
+/**
+ * Query string to tool arguments, converting numbers and booleans the tool's
+ * schema declares.
+ */
+function queryArgs(url, toolName) {
+  const properties = toolSchema(toolName).properties;
+  const args = {};
+  
+  for (const [key, value] of url.searchParams) {
+    const type = properties[key]?.type;
+    if (type === 'integer' || type === 'number') {
+      const number = value.trim() === '' ? NaN : Number(value);
+      if (type === 'integer' ? !Number.isInteger(number) : !Number.isFinite(number)) {
+        throw new MCPError(-32602, `Query parameter ${key} must be ${type === 'integer' ? 'an integer' : 'a number'}`, 400);
+      }
+      args[key] = number;
+    } else if (type === 'boolean') {
+      args[key] = value === 'true' || value === '1';
+    } else if (type === 'array') {
+      args[key] = value.split(',').map(item => item.trim()).filter(Boolean);
+    } else if (type === 'object') {
+      try {
+        args[key] = JSON.parse(value);
+      } catch (e) {
+        throw new MCPError(-32602, `Query parameter ${key} must be JSON`, 400);
+      }
+    } else {
+      args[key] = value;
+    }
+  }
+  return args;
+}
+
+async function readBody(request) {
+  try {
+    return await request.json();
+  } catch (e) {
+    throw new MCPError(-32602, 'Request body must be a JSON object', 400);
+  }
+}
+
+async function restSearch({ url, env, auth, ctx }) {
+  return await executeTool('search', queryArgs(url, 'search'), env, auth, ctx);
+}
+
+// A body with `content` is chunked like ingest; one with `text` is stored as is
+// 201 only when something was written; content that is already stored
+// comes back 200 with the existing ids
+function createdStatus(result) {
+  return result.created === false || result.chunks_created === 0 ? 200 : 201;
+}
+
+async function restCreate({ request, env, auth }) {
+  const body = await readBody(request);
+  return await executeTool(body.content !== undefined ? 'ingest' : 'store', body, env, auth);
+}
+
+async function restGetMemory({ params, env, auth, ctx }) {
+  return await executeTool('get_memory', { id: params[0] }, env, auth, ctx);
+}
+
+// `text` (+ `metadata`) goes through update, patchable fields through
+// patch_metadata; the memory is returned as it ends up
+async function restPatchMemory({ request, params, env, auth, ctx }) {
+  const id = params[0];
+  const body = await readBody(request);
+  const patch = Object.fromEntries(PATCHABLE_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+  
+  if (body.text === undefined && Object.keys(patch).length === 0) {
+    throw new MCPError(-32602, `Nothing to change - pass text or one of: ${PATCHABLE_FIELDS.join(', ')}`, 400);
+  }
+  
+  if (body.text !== undefined) {
+    await executeTool('update', { id, text: body.text, metadata: body.metadata }, env, auth);
+  }
+  if (Object.keys(patch).length > 0) {
+    await executeTool('patch_metadata', { id, ...patch }, env, auth);
+  }
+  return await executeTool('get_memory', { id }, env, auth, ctx);
+}
+
+async function restDeleteMemory({ url, params, env, auth }) {
+  const result = await executeTool('delete', { ...queryArgs(url, 'delete'), ids: [params[0]] }, env, auth);
+  if (result.not_found.length > 0) {
+    throw new NotFoundError(`Memory not found: ${params[0]}`);
+  }
+  return result;
+}
+
+async function restEntityStats({ params, env, auth }) {
+  return await executeTool('stats', { entity: params[0] }, env, auth);
+}
+
+async function restEntityFacets({ url, params, env, auth }) {
+  return await executeTool('facets', { ...queryArgs(url, 'facets'), entity_name: params[0] }, env, auth);
+}
+
+function restErrorStatus(error) {
+  if (error.status && error.status !== 200) {
+    return error.status;
+  }
+  if (error instanceof MCPError) {
+    return REST_STATUS_BY_CODE[error.code] || 400;
+  }
+  return 500;
+}
+
+/**
+ * OpenAPI 3.1 description of the REST routes, with request schemas taken
+ * from the tool definitions.
+ */
+function openApiDocument(origin) {
+  const jsonBody = schema => ({ required: true, content: { 'application/json': { schema } } });
+  const jsonResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { type: 'object' } } }
   });
+  const errors = {
+    400: { $ref: '#/components/responses/Error' },
+    401: { $ref: '#/components/responses/Error' },
+    403: { $ref: '#/components/responses/Error' },
+    500: { $ref: '#/components/responses/Error' }
+  };
+  const idParam = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+  const searchSchema = toolSchema('search');
+  const patchSchema = toolSchema('patch_metadata');
   
-  return response.data[0];
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Unified Mind REST API',
+      version: SERVER_INFO.version,
+      description: 'The unified-mind tools over plain HTTP. The MCP endpoint is POST /mcp.'
+    },
+    servers: [{ url: origin }],
+    security: [{ bearerAuth: [] }],
+    paths: {
+      '/memories/search': {
+        get: {
+          summary: 'Search memories',
+          description: MCP_TOOLS.find(tool => tool.name === 'search').description,
+          parameters: Object.entries(searchSchema.properties).map(([name, schema]) => ({
+            name,
+            in: 'query',
+            required: searchSchema.required.includes(name),
+            ...(schema.type === 'object' ? { content: { 'application/json': { schema } } } : { schema }),
+            ...(schema.type === 'array' ? { style: 'form', explode: false } : {})
+          })),
+          responses: { 200: jsonResponse('Ranked memories with attribution'), ...errors }
+        }
+      },
+      '/memories': {
+        post: {
+          summary: 'Store a memory (body with text) or ingest content with chunking (body with content)',
+          requestBody: jsonBody({ oneOf: [toolSchema('store'), toolSchema('ingest')] }),
+          responses: { 200: jsonResponse('Already stored - nothing created, existing ids returned'), 201: jsonResponse('Created memory ids'), ...errors }
+        }
+      },
+      '/memories/{id}': {
+        get: {
+          summary: 'Fetch a memory',
+          parameters: [idParam],
+          responses: { 200: jsonResponse('The memory'), 404: { $ref: '#/components/responses/Error' }, ...errors }
+        },
+        patch: {
+          summary: 'Correct a memory\'s text and/or change its tags, memory_type or timestamp',
+          parameters: [idParam],
+          requestBody: jsonBody({
+            type: 'object',
+            properties: {
+              text: { type: 'string' },
+              metadata: { type: 'object' },
+              ...Object.fromEntries(PATCHABLE_FIELDS.map(f => [f, patchSchema.properties[f]]))
+            }
+          }),
+          responses: { 200: jsonResponse('The updated memory'), 404: { $ref: '#/components/responses/Error' }, ...errors }
+        },
+        delete: {
+          summary: 'Delete a memory',
+          parameters: [idParam, { name: 'dry_run', in: 'query', schema: { type: 'boolean' } }],
+          responses: { 200: jsonResponse('What was deleted'), 404: { $ref: '#/components/responses/Error' }, ...errors }
+        }
+      },
+      '/entities/{name}/stats': {
+        get: {
+          summary: 'Counters for one entity',
+          parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: { 200: jsonResponse('Entity statistics'), ...errors }
+        }
+      },
+      '/entities/{name}/facets': {
+        get: {
+          summary: 'Distinct tags, platforms, memory types and conversations of one entity, with counts',
+          parameters: [
+            { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
+            ...['since', 'until', 'limit'].map(name => ({ name, in: 'query', schema: toolSchema('facets').properties[name] }))
+          ],
+          responses: { 200: jsonResponse('Facet counts'), ...errors }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' }
+      },
+      responses: {
+        Error: {
+          description: 'Error',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: { error: { type: 'string' }, code: { type: 'integer' } },
+                required: ['error']
+              }
+            }
+          }
+        }
+      }
+    }
+  };
 }
 
 // ============================================================================
@@ -498,8 +5074,9 @@ export default {
     
     const corsHeaders = {
       'Access-Control-Allow-Origin': env.CORS_ORIGIN || '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, Mcp-Session-Id, MCP-Protocol-Version',
+      'Access-Control-Expose-Headers': 'Mcp-Session-Id'
     };
     
     if (request.method === 'OPTIONS') {
@@ -517,19 +5094,62 @@ export default {
       });
     }
     
-    if (url.pathname === '/mcp' && request.method === 'POST') {
+    if (url.pathname === '/mcp' && request.method === 'GET') {
+      // No server-initiated messages, so no standalone SSE stream
+      return new Response(null, { status: 405, headers: { ...corsHeaders, 'Allow': 'POST, DELETE' } });
+    }
+    
+    if (url.pathname === '/mcp' && (request.method === 'POST' || request.method === 'DELETE')) {
+      try {
+        const auth = await authenticate(request, env);
+        return request.method === 'POST'
+          ? await handleMCPPost(request, env, auth, corsHeaders, ctx)
+          : await handleMCPDelete(request, env, auth, corsHeaders);
+      } catch (error) {
+        return new Response(JSON.stringify({
+          jsonrpc: '2.0',
+          id: null,
+          error: { code: error.code || -32603, message: error.message }
+        }), {
+          status: error.status || 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+    
+    if (url.pathname === '/openapi.json' && request.method === 'GET') {
+      return new Response(JSON.stringify(openApiDocument(url.origin), null, 2), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const rest = matchRestRoute(request.method, url.pathname);
+    if (rest?.methodNotAllowed) {
+      return new Response(JSON.stringify({ error: `Method ${request.method} not allowed on ${url.pathname}` }), {
+        status: 405,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    if (rest?.invalidPath) {
+      return new Response(JSON.stringify({ error: `Malformed percent-encoding in ${url.pathname}` }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    if (rest) {
       try {
-        const result = await handleMCPRequest(request, env);
+        const auth = await authenticate(request, env);
+        const result = await rest.route.handler({ request, url, params: rest.params, env, auth, ctx });
         return new Response(JSON.stringify(result), {
+          status: typeof rest.route.status === 'function' ? rest.route.status(result) : rest.route.status || 200,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         });
       } catch (error) {
         return new Response(JSON.stringify({
-          jsonrpc: '2.0',
-          id: null,
-          error: { code: -32603, message: error.message }
+          error: error.message,
+          ...(error.code ? { code: error.code } : {})
         }), {
-          status: 500,
+          status: restErrorStatus(error),
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         });
       }
@@ -537,10 +5157,18 @@ export default {
     
     return new Response(JSON.stringify({
       error: 'Not Found',
-      hint: 'Use POST /mcp for MCP protocol'
+      hint: 'Use POST /mcp for MCP protocol, or the REST API described at /openapi.json'
     }), {
       status: 404,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' }
     });
+  },
+  
+  async scheduled(event, env, ctx) {
+    // One JSON line per run, for wrangler tail / Workers Logs; manual
+    // consolidate calls return their results instead of logging them
+    ctx.waitUntil(runScheduledConsolidation(env).then(results => {
+      console.log(JSON.stringify({ event: 'scheduled_consolidation', results }));
+    }));
   }
 };
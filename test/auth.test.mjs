@@ -0,0 +1,109 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, mockEnv, rpc, callTool, rest } from './helpers.mjs';
+
+const TOKENS = {
+  'admin-token': { name: 'admin', entities: ['*'], access: 'admin' },
+  'mind-1-reader': { name: 'reader', entities: ['mind-1'], access: 'read' },
+  'mind-1-writer': { name: 'writer', entities: ['mind-1'], access: 'write' },
+  'no-access': { name: 'broken', entities: ['*'] },
+  'string-entities': { name: 'substring', entities: 'mind-1', access: 'read' }
+};
+
+let worker;
+let env;
+before(async () => {
+  worker = await loadWorker();
+  env = mockEnv({ ALLOW_ANONYMOUS: 'false', AUTH_TOKENS: JSON.stringify(TOKENS) });
+  for (const [i, entity_name] of ['mind-1', 'mind-2', 'mind-2'].entries()) {
+    await callTool(worker, env, 'store', {
+      text: `A shared secret about the lake house, kept by ${entity_name} (${i})`,
+      entity_name,
+      memory_type: 'note'
+    }, 'admin-token');
+  }
+});
+
+test('requests without a valid token are rejected', async () => {
+  for (const token of [undefined, 'bogus', 'constructor', '__proto__', 'no-access', 'string-entities']) {
+    const { status } = await rpc(worker, env, 'tools/list', {}, token);
+    assert.equal(status, 401, `token ${token}`);
+  }
+  const { status } = await rpc(worker, env, 'tools/list', {}, 'admin-token');
+  assert.equal(status, 200);
+});
+
+test('an entity-scoped token only searches its own entities', async () => {
+  const own = await callTool(worker, env, 'search', { query: 'lake house secret', mode: 'keyword' }, 'mind-1-reader');
+  assert.ok(own.memories.length > 0);
+  assert.ok(own.memories.every(m => m.metadata.entity_name === 'mind-1'));
+  
+  await assert.rejects(
+    callTool(worker, env, 'search', { query: 'lake', entity: 'mind-2' }, 'mind-1-reader'),
+    /mind-2/
+  );
+});
+
+test('read tokens cannot write and writers stay in their entities', async () => {
+  await assert.rejects(
+    callTool(worker, env, 'store', { text: 'x', entity_name: 'mind-1', memory_type: 'note' }, 'mind-1-reader'),
+    /not allowed/
+  );
+  await assert.rejects(
+    callTool(worker, env, 'store', { text: 'x', entity_name: 'mind-2', memory_type: 'note' }, 'mind-1-writer'),
+    /mind-2/
+  );
+  await callTool(worker, env, 'store', { text: 'written by the writer', entity_name: 'mind-1', memory_type: 'note' }, 'mind-1-writer');
+});
+
+test('stats for a scoped token only count its entities', async () => {
+  const scoped = await callTool(worker, env, 'stats', {}, 'mind-1-reader');
+  assert.deepEqual(Object.keys(scoped.entities), ['mind-1']);
+  assert.equal(scoped.vector_count_estimate, scoped.entities['mind-1'].vectors);
+  assert.equal(scoped.embedding_calls, undefined);
+  
+  const all = await callTool(worker, env, 'stats', {}, 'admin-token');
+  assert.deepEqual(Object.keys(all.entities).sort(), ['mind-1', 'mind-2']);
+  assert.ok(all.vector_count_estimate > scoped.vector_count_estimate);
+});
+
+test('REST routes apply the same scoping', async () => {
+  const forbidden = await rest(worker, env, 'GET', '/entities/mind-2/stats', { token: 'mind-1-reader' });
+  assert.equal(forbidden.status, 403);
+  
+  const malformed = await rest(worker, env, 'GET', '/memories/%E0%A4%A', { token: 'admin-token' });
+  assert.equal(malformed.status, 400);
+  
+  const missing = await rest(worker, env, 'GET', '/memories/mem_0000000000000000', { token: 'admin-token' });
+  assert.equal(missing.status, 404);
+  
+  for (const query of ['limit=abc', 'limit=2.5', 'offset=-1', 'cursor=bogus']) {
+    const { status } = await rest(worker, env, 'GET', `/memories/search?query=lake&${query}`, { token: 'admin-token' });
+    assert.equal(status, 400, query);
+  }
+});
+
+test('POST /memories returns 201 only when something was created', async () => {
+  const body = { text: 'A note posted over REST', entity_name: 'mind-1', memory_type: 'note' };
+  const created = await rest(worker, env, 'POST', '/memories', { body, token: 'mind-1-writer' });
+  assert.equal(created.status, 201);
+  
+  const again = await rest(worker, env, 'POST', '/memories', { body, token: 'mind-1-writer' });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.memory_id, created.body.memory_id);
+});
+
+test('search pages end at the candidate window', async () => {
+  let cursor;
+  let pages = 0;
+  let page;
+  do {
+    page = await callTool(worker, env, 'search', { query: 'lake house', mode: 'keyword', limit: 1, cursor }, 'admin-token');
+    cursor = page.next_cursor;
+    pages++;
+  } while (cursor && pages < 10);
+  
+  assert.equal(page.has_more, false);
+  assert.equal(pages, page.total_estimate);
+  await assert.rejects(callTool(worker, env, 'search', { query: 'lake', limit: 'ten' }, 'admin-token'), /limit must be an integer/);
+});
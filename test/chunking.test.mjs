@@ -0,0 +1,62 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+import { chunkContent, countTokens } from '../src/chunking.js';
+import { loadWorker, mockEnv, callTool } from './helpers.mjs';
+
+let worker;
+before(async () => {
+  worker = await loadWorker();
+});
+
+const document = '# Field notes\n\n' +
+  'Electroencephalography readings were reconciled with the 2024-03-17 baseline. '.repeat(60) +
+  '\n\n## Follow-up\n\n```js\nconst readings = load("eeg");\n```\n\n' +
+  'Naïve café résumé, 東京の天気. '.repeat(40);
+
+test('tokens are counted with the WordPiece vocabulary', () => {
+  assert.equal(countTokens('unaffable'), 3);
+  assert.equal(countTokens('Hello, world!'), 4);
+  assert.equal(countTokens('naïve café'), 2);
+  assert.equal(countTokens('東京'), 2);
+  assert.equal(countTokens('x'.repeat(101)), 1);
+});
+
+test('ingest chunks fit the embedding model input', async () => {
+  const env = mockEnv({ MAX_CHUNK_TOKENS: '5000' });
+  const { memory_ids } = await callTool(worker, env, 'ingest', {
+    content: document, entity_name: 'mind-1', source_platform: 'file', memory_type: 'document'
+  });
+  assert.ok(memory_ids.length >= 2);
+  
+  for (const id of memory_ids) {
+    const memory = await callTool(worker, env, 'get_memory', { id });
+    assert.ok(countTokens(memory.text) <= 510, `${countTokens(memory.text)} tokens`);
+  }
+  
+  await assert.rejects(
+    callTool(worker, env, 'ingest', { content: 'x', entity_name: 'mind-1', source_platform: 'file', memory_type: 'note', chunking: 'words' }),
+    /Unknown chunking strategy/
+  );
+});
+
+test('the ingest CLI chunks with the same module as the Worker', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'unified-mind-'));
+  try {
+    const file = join(dir, 'notes.md');
+    await writeFile(file, document);
+    const { stdout } = await promisify(execFile)(process.execPath, [
+      new URL('../scripts/ingest.js', import.meta.url).pathname,
+      '--file', file, '--entity', 'mind-1', '--type', 'document', '--dry-run'
+    ], { cwd: dir });
+    
+    const expected = chunkContent(document, { memoryType: 'document' }).length;
+    assert.match(stdout, new RegExp(`notes\\.md: ${expected} chunks`));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
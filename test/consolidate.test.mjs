@@ -0,0 +1,30 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, mockEnv, callTool } from './helpers.mjs';
+
+let worker;
+let env;
+const logged = [];
+const log = console.log;
+before(async () => {
+  worker = await loadWorker();
+  env = mockEnv({ CONSOLIDATE_ENTITIES: 'mind-1' });
+  console.log = line => logged.push(line);
+});
+after(() => {
+  console.log = log;
+});
+
+test('only scheduled consolidation logs, as one JSON line', async () => {
+  await callTool(worker, env, 'consolidate', { entity_name: 'mind-1', dry_run: true });
+  assert.deepEqual(logged, []);
+  
+  const pending = [];
+  await worker.scheduled({ cron: '0 3 * * *' }, env, { waitUntil: promise => pending.push(promise) });
+  await Promise.all(pending);
+  
+  assert.equal(logged.length, 1);
+  const line = JSON.parse(logged[0]);
+  assert.equal(line.event, 'scheduled_consolidation');
+  assert.deepEqual(line.results.map(r => r.entity), ['mind-1']);
+});
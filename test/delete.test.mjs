@@ -0,0 +1,119 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, mockEnv, callTool } from './helpers.mjs';
+
+let worker;
+before(async () => {
+  worker = await loadWorker();
+});
+
+const keys = (env, prefix) => [...env.R2.objects.keys()].filter(key => key.startsWith(prefix));
+
+test('delete removes the vector, index entry, chunk, references and revisions', async () => {
+  const env = mockEnv();
+  const text = 'A long memory about the trip to the coast and everything we saw there. '.repeat(10);
+  const { memory_id } = await callTool(worker, env, 'store', { text, entity_name: 'mind-1', memory_type: 'note' });
+  await callTool(worker, env, 'update', { id: memory_id, text: text + 'We also stopped at the lighthouse.' });
+  
+  assert.equal(keys(env, 'revisions/').length, 1);
+  assert.equal(keys(env, 'chunks/').length, 1);
+  assert.equal(keys(env, 'chunk-refs/').length, 1);
+  
+  const dry = await callTool(worker, env, 'delete', { ids: [memory_id], dry_run: true });
+  assert.equal(dry.dry_run, true);
+  assert.ok(env.VECTORIZE.vectors.has(memory_id));
+  
+  const result = await callTool(worker, env, 'delete', { ids: [memory_id] });
+  assert.deepEqual(result.memory_ids, [memory_id]);
+  assert.equal(env.VECTORIZE.vectors.size, 0);
+  assert.deepEqual(keys(env, 'memories/'), []);
+  assert.deepEqual(keys(env, 'chunks/'), []);
+  assert.deepEqual(keys(env, 'chunk-refs/'), []);
+  assert.deepEqual(keys(env, 'revisions/'), []);
+  
+  const search = await callTool(worker, env, 'search', { query: 'lighthouse', entity: 'mind-1', mode: 'keyword' });
+  assert.equal(search.memories.length, 0);
+});
+
+test('a document is removed with the last of its chunks', async () => {
+  const env = mockEnv();
+  const content = '# Notes\n\n' + 'The opening section of the document. '.repeat(80) +
+    '\n\n## More\n\n' + 'The closing section of the document. '.repeat(80);
+  const { memory_ids } = await callTool(worker, env, 'ingest', {
+    content, entity_name: 'mind-1', source_platform: 'file', memory_type: 'document'
+  });
+  assert.ok(memory_ids.length >= 2);
+  
+  await callTool(worker, env, 'delete', { ids: memory_ids.slice(0, 1) });
+  assert.ok(keys(env, 'documents/').length > 0);
+  
+  await callTool(worker, env, 'delete', { ids: memory_ids.slice(1) });
+  assert.deepEqual(keys(env, 'documents/'), []);
+});
+
+test('deleting unknown ids reports them as not found', async () => {
+  const env = mockEnv();
+  const result = await callTool(worker, env, 'delete', { ids: ['mem_0000000000000000'] });
+  assert.equal(result.count, 0);
+  assert.deepEqual(result.not_found, ['mem_0000000000000000']);
+});
+
+test('purge_entity works through the index a page at a time', async () => {
+  const env = mockEnv();
+  for (let i = 0; i < 130; i++) {
+    await callTool(worker, env, 'store', { text: `Purge candidate number ${i}`, entity_name: 'mind-1', memory_type: 'note' });
+  }
+  await callTool(worker, env, 'store', { text: 'Kept by another mind', entity_name: 'mind-2', memory_type: 'note' });
+  
+  const pages = [];
+  let cursor;
+  do {
+    const page = await callTool(worker, env, 'purge_entity', { entity_name: 'mind-1', confirm: 'mind-1', cursor });
+    pages.push(page.count);
+    cursor = page.next_cursor;
+  } while (cursor);
+  
+  assert.deepEqual(pages, [100, 30]);
+  assert.deepEqual(keys(env, 'memories/mind-1/'), []);
+  assert.equal(env.VECTORIZE.vectors.size, 1);
+  await assert.rejects(callTool(worker, env, 'delete', { ids: Array(101).fill('mem_0000000000000000') }), /1 to 100/);
+});
+
+test('backfill_index indexes vectors stored before the index existed', async () => {
+  const env = mockEnv();
+  const text = 'An old memory about the harbour, stored before the memory index existed. '.repeat(10);
+  const hash = 'a'.repeat(64);
+  await env.R2.put(`chunks/${hash}.json`, JSON.stringify({ hash, text }));
+  await env.VECTORIZE.upsert([{
+    id: 'mem_00112233aabbccdd',
+    namespace: 'mind-1',
+    values: Array(768).fill(0.01),
+    metadata: {
+      entity_name: 'mind-1', source_platform: 'claude', memory_type: 'note', timestamp: '2024-01-01T00:00:00Z',
+      text_preview: text.slice(0, 500), chunk_hash: hash, r2_key: `chunks/${hash}.json`
+    }
+  }]);
+  
+  const dry = await callTool(worker, env, 'backfill_index', { ids: ['mem_00112233aabbccdd', 'mem_missing'], dry_run: true });
+  assert.deepEqual(dry.memory_ids, ['mem_00112233aabbccdd']);
+  assert.deepEqual(dry.not_found, ['mem_missing']);
+  assert.deepEqual(keys(env, 'memories/'), []);
+  
+  const result = await callTool(worker, env, 'backfill_index', { ids: ['mem_00112233aabbccdd'] });
+  assert.equal(result.backfilled, 1);
+  assert.deepEqual(keys(env, 'memories/'), ['memories/mind-1/mem_00112233aabbccdd']);
+  assert.deepEqual(keys(env, 'chunk-refs/'), [`chunk-refs/chunks/${hash}.json/mem_00112233aabbccdd`]);
+  assert.deepEqual(keys(env, 'hash-ids/'), [`hash-ids/mind-1/${hash}`]);
+  
+  const search = await callTool(worker, env, 'search', { query: 'harbour', entity: 'mind-1', mode: 'keyword' });
+  assert.equal(search.memories.length, 1);
+  
+  const again = await callTool(worker, env, 'backfill_index', { ids: ['mem_00112233aabbccdd'] });
+  assert.equal(again.backfilled, 0);
+  assert.equal(again.already_indexed, 1);
+  
+  await callTool(worker, env, 'purge_entity', { entity_name: 'mind-1', confirm: 'mind-1' });
+  assert.equal(env.VECTORIZE.vectors.size, 0);
+  assert.deepEqual(keys(env, 'chunks/'), []);
+  assert.deepEqual(keys(env, 'hash-ids/'), []);
+});
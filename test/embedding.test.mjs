@@ -0,0 +1,105 @@
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, mockEnv, mockVectorize, callTool } from './helpers.mjs';
+
+let worker;
+before(async () => {
+  worker = await loadWorker();
+});
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const note = (text, entity_name = 'mind-1') => ({ text, entity_name, memory_type: 'note' });
+
+test('the stub provider embeds offline and records its model', async () => {
+  const env = mockEnv();
+  const { memory_id } = await callTool(worker, env, 'store', note('A quiet walk along the canal at dusk'));
+  
+  const stored = env.VECTORIZE.vectors.get(memory_id);
+  assert.equal(stored.values.length, 768);
+  assert.equal(stored.metadata.embedding_model, 'stub-hash-v1');
+  
+  const { memory_ids } = await callTool(worker, env, 'ingest', {
+    content: 'Notes from the canal walk, with herons and a narrowboat.',
+    entity_name: 'mind-1', source_platform: 'file', memory_type: 'document'
+  });
+  assert.equal(env.VECTORIZE.vectors.get(memory_ids[0]).metadata.embedding_model, 'stub-hash-v1');
+});
+
+test('the openai provider calls the configured endpoint', async () => {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push({ url, headers: init.headers, body });
+    return Response.json({
+      data: body.input.map((_, index) => ({ index, embedding: Array(body.dimensions).fill(0.1) })).reverse()
+    });
+  };
+  
+  const env = mockEnv({
+    EMBEDDING_PROVIDER: 'openai',
+    EMBEDDING_API_URL: 'https://embeddings.example/v1/',
+    EMBEDDING_API_KEY: 'sk-test',
+    EMBEDDING_DIMENSIONS: '256'
+  });
+  const { memory_id } = await callTool(worker, env, 'store', note('Borrowed a ladder from the neighbours'));
+  
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, 'https://embeddings.example/v1/embeddings');
+  assert.equal(requests[0].headers.Authorization, 'Bearer sk-test');
+  assert.deepEqual(requests[0].body, { model: 'text-embedding-3-small', input: ['Borrowed a ladder from the neighbours'], dimensions: 256 });
+  
+  const stored = env.VECTORIZE.vectors.get(memory_id);
+  assert.equal(stored.values.length, 256);
+  assert.equal(stored.metadata.embedding_model, 'text-embedding-3-small');
+});
+
+test('provider misconfiguration is reported', async () => {
+  await assert.rejects(
+    callTool(worker, mockEnv({ EMBEDDING_PROVIDER: 'openai' }), 'store', note('x')),
+    /EMBEDDING_API_URL is required/
+  );
+  await assert.rejects(
+    callTool(worker, mockEnv({ EMBEDDING_PROVIDER: 'bogus' }), 'store', note('x')),
+    /Unknown embedding provider: bogus/
+  );
+});
+
+test('reembed copies every memory into the target index with the new model', async () => {
+  const env = mockEnv({ VECTORIZE_NEXT: mockVectorize() });
+  const ids = [];
+  for (const text of ['The bakery opens at seven', 'The library closes early on Fridays', 'A long letter about the move. '.repeat(30)]) {
+    ids.push((await callTool(worker, env, 'store', note(text))).memory_id);
+  }
+  ids.push((await callTool(worker, env, 'store', note('Kept out of the migration', 'mind-2'))).memory_id);
+  
+  const args = { target_index: 'VECTORIZE_NEXT', provider: 'stub', model: 'stub-small', dimensions: 384, entity_name: 'mind-1', limit: 2 };
+  const dry = await callTool(worker, env, 'reembed', { ...args, dry_run: true });
+  assert.equal(dry.would_process, 2);
+  assert.equal(env.VECTORIZE_NEXT.vectors.size, 0);
+  
+  const pages = [];
+  let cursor;
+  do {
+    const page = await callTool(worker, env, 'reembed', { ...args, cursor });
+    assert.equal(page.embedding_model, 'stub-small');
+    assert.equal(page.dimensions, 384);
+    pages.push(page.processed);
+    cursor = page.next_cursor;
+  } while (cursor);
+  
+  assert.deepEqual(pages, [2, 1]);
+  assert.deepEqual([...env.VECTORIZE_NEXT.vectors.keys()].sort(), ids.slice(0, 3).sort());
+  for (const vector of env.VECTORIZE_NEXT.vectors.values()) {
+    assert.equal(vector.values.length, 384);
+    assert.equal(vector.namespace, 'mind-1');
+    assert.equal(vector.metadata.embedding_model, 'stub-small');
+  }
+  assert.equal(env.VECTORIZE.vectors.get(ids[0]).metadata.embedding_model, 'stub-hash-v1');
+  
+  await assert.rejects(callTool(worker, env, 'reembed', { ...args, target_index: 'VECTORIZE' }), /must differ/);
+  await assert.rejects(callTool(worker, env, 'reembed', { ...args, target_index: 'R2' }), /must name a Vectorize binding/);
+});
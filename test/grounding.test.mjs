@@ -0,0 +1,66 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, mockEnv, callTool } from './helpers.mjs';
+
+let worker;
+let env;
+before(async () => {
+  worker = await loadWorker();
+  env = mockEnv();
+  for (let i = 0; i < 12; i++) {
+    await callTool(worker, env, 'store', {
+      text: `Garden plan ${i}: tomatoes, basil and peppers along the south fence, watered every morning.`,
+      entity_name: 'mind-1',
+      memory_type: 'note'
+    });
+  }
+});
+
+const ground = args => callTool(worker, env, 'get_grounding_context', { topic: 'garden tomatoes', entity: 'mind-1', ...args });
+
+test('grounding context stays within max_tokens', async () => {
+  for (const max_tokens of [60, 200, 1000]) {
+    const result = await ground({ max_tokens });
+    assert.ok(result.token_estimate <= max_tokens, `${result.token_estimate} > ${max_tokens}`);
+  }
+  
+  const small = await ground({ max_tokens: 60 });
+  const large = await ground({ max_tokens: 1000 });
+  assert.ok(small.memories_included < large.memories_included);
+  assert.equal(large.total_available, 12);
+});
+
+test('max_tokens is clamped, and diversity and topic are validated', async () => {
+  const started = Date.now();
+  const huge = await ground({ max_tokens: 5e7 });
+  assert.ok(Date.now() - started < 5000);
+  assert.ok(huge.token_estimate <= 8000);
+  
+  const none = await ground({ max_tokens: -5 });
+  assert.equal(none.memories_included, 0);
+  
+  await assert.rejects(ground({ diversity: 3 }), /diversity must be a number between 0 and 1/);
+  await assert.rejects(ground({ topic: undefined }), /topic must be a non-empty string/);
+  await assert.rejects(ground({ topic: '  ' }), /topic must be a non-empty string/);
+});
+
+test('every output format respects the budget', async () => {
+  for (const format of ['markdown', 'xml', 'json']) {
+    const result = await ground({ format, max_tokens: 250 });
+    assert.equal(result.format, format);
+    assert.ok(result.memories_included > 0);
+    assert.ok(result.token_estimate <= 250);
+  }
+});
+
+test('reads are counted per memory', async () => {
+  const { memories } = await callTool(worker, env, 'search', { query: 'garden plan 3', entity: 'mind-1', mode: 'keyword', limit: 2 });
+  const [first] = memories;
+  const before = (await callTool(worker, env, 'get_memory', { id: first.id })).access_count;
+  const after = await callTool(worker, env, 'get_memory', { id: first.id });
+  assert.equal(after.access_count, before + 1);
+  
+  const keys = [...env.CACHE.values.keys()].filter(key => key.startsWith('unified-mind:access:'));
+  assert.ok(keys.includes(`unified-mind:access:mind-1:${first.id}`));
+  assert.ok(!keys.includes('unified-mind:access:mind-1'));
+});
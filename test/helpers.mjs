@@ -0,0 +1,246 @@
+// In-memory stand-ins for the Worker's bindings, enough of the Vectorize, R2
+// and KV APIs for the tools to run under node --test, with the stub embedding
+// and summary providers so nothing leaves the process.
+
+/**
+ * Import the Worker (src/ is an ES module package inside the CommonJS one).
+ */
+export async function loadWorker() {
+  const module = await import('../src/index.js');
+  return module.default;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+const OPERATORS = {
+  $eq: (value, operand) => value === operand,
+  $ne: (value, operand) => value !== operand,
+  $in: (value, operand) => operand.includes(value),
+  $nin: (value, operand) => !operand.includes(value),
+  $lt: (value, operand) => value < operand,
+  $lte: (value, operand) => value <= operand,
+  $gt: (value, operand) => value > operand,
+  $gte: (value, operand) => value >= operand
+};
+
+function matchesFilter(metadata = {}, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (condition !== null && typeof condition === 'object') {
+      return Object.entries(condition).every(([op, operand]) => OPERATORS[op](metadata[field], operand));
+    }
+    return metadata[field] === condition;
+  });
+}
+
+export function mockVectorize() {
+  const vectors = new Map();
+  
+  return {
+    vectors,
+    async query(values, { topK = 5, namespace, filter, returnMetadata, returnValues } = {}) {
+      if (topK > 100) {
+        throw new Error('topK must be at most 100');
+      }
+      const matches = [...vectors.values()]
+        .filter(v => (!namespace || v.namespace === namespace) && matchesFilter(v.metadata, filter))
+        .map(v => ({
+          id: v.id,
+          namespace: v.namespace,
+          score: cosine(values, v.values),
+          ...(returnMetadata && returnMetadata !== 'none' ? { metadata: v.metadata } : {}),
+          ...(returnValues ? { values: v.values } : {})
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+      return { matches, count: matches.length };
+    },
+    async upsert(items) {
+      for (const item of items) {
+        vectors.set(item.id, structuredClone(item));
+      }
+      return { mutationId: 'upsert' };
+    },
+    async getByIds(ids) {
+      if (ids.length > 20) {
+        throw new Error('getByIds takes at most 20 ids');
+      }
+      return ids.filter(id => vectors.has(id)).map(id => structuredClone(vectors.get(id)));
+    },
+    async deleteByIds(ids) {
+      ids.forEach(id => vectors.delete(id));
+      return { mutationId: 'delete' };
+    }
+  };
+}
+
+export function mockR2() {
+  const objects = new Map();
+  
+  const object = (key, { body, customMetadata }) => ({
+    key,
+    size: body.length,
+    customMetadata: customMetadata || {},
+    uploaded: new Date(),
+    async text() {
+      return body;
+    },
+    async json() {
+      return JSON.parse(body);
+    }
+  });
+  
+  return {
+    objects,
+    async put(key, value, { customMetadata } = {}) {
+      objects.set(key, { body: String(value), customMetadata });
+      return object(key, objects.get(key));
+    },
+    async get(key) {
+      return objects.has(key) ? object(key, objects.get(key)) : null;
+    },
+    async head(key) {
+      return objects.has(key) ? object(key, objects.get(key)) : null;
+    },
+    async delete(keys) {
+      [].concat(keys).forEach(key => objects.delete(key));
+    },
+    // Cursors are the last key returned, so deleting listed keys between
+    // pages doesn't skip any (as with R2)
+    async list({ prefix = '', cursor, limit = 1000, delimiter, include = [] } = {}) {
+      let keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+      const delimitedPrefixes = new Set();
+      if (delimiter) {
+        keys = keys.filter(key => {
+          const end = key.indexOf(delimiter, prefix.length);
+          if (end >= 0) {
+            delimitedPrefixes.add(key.slice(0, end + 1));
+          }
+          return end < 0;
+        });
+      }
+      
+      const start = cursor ? keys.filter(key => key <= cursor).length : 0;
+      const page = keys.slice(start, start + limit);
+      const truncated = start + limit < keys.length;
+      return {
+        objects: page.map(key => {
+          const listed = object(key, objects.get(key));
+          if (!include.includes('customMetadata')) {
+            delete listed.customMetadata;
+          }
+          return listed;
+        }),
+        truncated,
+        cursor: truncated ? page[page.length - 1] : undefined,
+        delimitedPrefixes: [...delimitedPrefixes]
+      };
+    }
+  };
+}
+
+export function mockKV() {
+  const values = new Map();
+  
+  return {
+    values,
+    async get(key, type) {
+      const value = values.get(key);
+      if (value === undefined) {
+        return null;
+      }
+      return (typeof type === 'string' ? type : type?.type) === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      values.set(key, String(value));
+    },
+    async delete(key) {
+      values.delete(key);
+    },
+    async list({ prefix = '' } = {}) {
+      return { keys: [...values.keys()].filter(key => key.startsWith(prefix)).map(name => ({ name })), list_complete: true };
+    }
+  };
+}
+
+export function mockEnv(vars = {}) {
+  return {
+    VECTORIZE: mockVectorize(),
+    R2: mockR2(),
+    CACHE: mockKV(),
+    EMBEDDING_PROVIDER: 'stub',
+    SUMMARY_PROVIDER: 'stub',
+    ALLOW_ANONYMOUS: 'true',
+    ...vars
+  };
+}
+
+/**
+ * Execution context whose waitUntil work is finished before the helpers
+ * return, as the runtime would after sending the response.
+ */
+function executionContext() {
+  const pending = [];
+  return {
+    pending,
+    waitUntil(promise) {
+      pending.push(promise);
+    }
+  };
+}
+
+export async function rpc(worker, env, method, params, token) {
+  const ctx = executionContext();
+  const response = await worker.fetch(new Request('http://localhost/mcp', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  }), env, ctx);
+  const body = await response.json();
+  await Promise.all(ctx.pending);
+  return { status: response.status, body };
+}
+
+/**
+ * Call a tool over MCP. Resolves to the tool's parsed JSON result; tool
+ * errors and JSON-RPC errors reject with their message.
+ */
+export async function callTool(worker, env, name, args, token) {
+  const { body } = await rpc(worker, env, 'tools/call', { name, arguments: args }, token);
+  if (body.error) {
+    throw new Error(body.error.message);
+  }
+  const text = body.result.content[0].text;
+  if (body.result.isError) {
+    throw new Error(text);
+  }
+  return JSON.parse(text);
+}
+
+export async function rest(worker, env, method, path, { body, token } = {}) {
+  const ctx = executionContext();
+  const response = await worker.fetch(new Request('http://localhost' + path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+  }), env, ctx);
+  const result = await response.json();
+  await Promise.all(ctx.pending);
+  return { status: response.status, body: result };
+}
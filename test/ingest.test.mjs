@@ -0,0 +1,97 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, mockEnv, callTool } from './helpers.mjs';
+
+let worker;
+before(async () => {
+  worker = await loadWorker();
+});
+
+const content = [
+  'The first paragraph is about planting tomatoes in early spring. '.repeat(30),
+  'The second paragraph is about pruning the apple trees in winter. '.repeat(30)
+].join('\n\n');
+
+const ingest = (env, args = {}) => callTool(worker, env, 'ingest', {
+  content,
+  entity_name: 'mind-1',
+  source_platform: 'claude',
+  memory_type: 'note',
+  ...args
+});
+
+test('re-ingesting the same content skips every chunk', async () => {
+  const env = mockEnv();
+  
+  const first = await ingest(env);
+  assert.ok(first.chunks_created >= 2);
+  assert.equal(first.chunks_skipped, 0);
+  
+  const second = await ingest(env);
+  assert.equal(second.chunks_created, 0);
+  assert.equal(second.chunks_skipped, first.chunks_created);
+  assert.deepEqual(second.skipped_ids.sort(), first.memory_ids.sort());
+  assert.equal(env.VECTORIZE.vectors.size, first.chunks_created);
+});
+
+test('a re-run finishes an ingest that failed after the vectors were written', async () => {
+  const env = mockEnv();
+  const put = env.R2.put;
+  env.R2.put = async (key, ...rest) => {
+    if (key.startsWith('lexical/')) {
+      throw new Error('R2 unavailable');
+    }
+    return put(key, ...rest);
+  };
+  
+  await assert.rejects(ingest(env), /R2 unavailable/);
+  assert.ok(env.VECTORIZE.vectors.size > 0);
+  assert.equal([...env.R2.objects.keys()].filter(key => key.startsWith('memories/')).length, 0);
+  
+  env.R2.put = put;
+  const retry = await ingest(env);
+  assert.equal(retry.chunks_created, env.VECTORIZE.vectors.size);
+  assert.equal(retry.chunks_skipped, 0);
+  
+  const lexical = JSON.parse(env.R2.objects.get('lexical/mind-1/stats.json').body);
+  assert.equal(lexical.doc_count, retry.chunks_created);
+  
+  const stats = await callTool(worker, env, 'stats', {});
+  assert.equal(stats.entities['mind-1'].vectors, retry.chunks_created);
+});
+
+test('store reports an existing memory instead of writing it again', async () => {
+  const env = mockEnv();
+  const args = { text: 'Remember the dentist on Tuesday', entity_name: 'mind-1', memory_type: 'note' };
+  
+  const first = await callTool(worker, env, 'store', args);
+  const second = await callTool(worker, env, 'store', args);
+  assert.equal(first.created, true);
+  assert.equal(second.skipped, true);
+  assert.equal(second.memory_id, first.memory_id);
+});
+
+test('dedup follows the current text of updated memories', async () => {
+  const env = mockEnv();
+  const original = { text: 'The meeting is on Monday', entity_name: 'mind-1', memory_type: 'note' };
+  const corrected = { ...original, text: 'The meeting is on Wednesday' };
+  
+  const { memory_id } = await callTool(worker, env, 'store', original);
+  await callTool(worker, env, 'update', { id: memory_id, text: corrected.text });
+  
+  const again = await callTool(worker, env, 'store', corrected);
+  assert.equal(again.skipped, true);
+  assert.equal(again.memory_id, memory_id);
+  
+  const restored = await callTool(worker, env, 'store', original);
+  assert.equal(restored.created, true);
+  assert.notEqual(restored.memory_id, memory_id);
+  assert.equal(env.VECTORIZE.vectors.size, 2);
+  
+  const repeat = await callTool(worker, env, 'store', original);
+  assert.equal(repeat.skipped, true);
+  assert.equal(repeat.memory_id, restored.memory_id);
+  
+  await callTool(worker, env, 'delete', { ids: [memory_id, restored.memory_id] });
+  assert.deepEqual([...env.R2.objects.keys()].filter(key => key.startsWith('hash-ids/')), []);
+});
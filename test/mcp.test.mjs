@@ -0,0 +1,56 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, mockEnv, rpc, callTool } from './helpers.mjs';
+
+let worker;
+let env;
+before(async () => {
+  worker = await loadWorker();
+  env = mockEnv();
+});
+
+test('malformed params are rejected as invalid params', async () => {
+  for (const [method, params] of [
+    ['tools/list', 'oops'],
+    ['tools/call', []],
+    ['tools/call', null],
+    ['tools/call', { arguments: {} }],
+    ['tools/call', { name: 'stats', arguments: 'x' }]
+  ]) {
+    const { body } = await rpc(worker, env, method, params);
+    assert.equal(body.error?.code, -32602, `${method} ${JSON.stringify(params)}`);
+  }
+  
+  const { body } = await rpc(worker, env, 'tools/list', null);
+  assert.ok(body.result.tools.length > 0);
+});
+
+test('resources are listed page by page and malformed URIs are invalid params', async () => {
+  for (const [i, entity_name] of ['mind-1', 'mind-2'].entries()) {
+    for (let n = 0; n < 60; n++) {
+      await callTool(worker, env, 'store', { text: `Resource memory ${i}-${n}`, entity_name, memory_type: 'note' });
+    }
+  }
+  
+  const uris = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const { body } = await rpc(worker, env, 'resources/list', cursor ? { cursor } : {});
+    uris.push(...body.result.resources.map(r => r.uri));
+    cursor = body.result.nextCursor;
+    pages++;
+  } while (cursor);
+  
+  assert.equal(pages, 2);
+  assert.equal(new Set(uris).size, uris.length);
+  assert.deepEqual(uris.filter(uri => uri.endsWith('/recent')), ['mind://mind-1/recent', 'mind://mind-2/recent']);
+  assert.equal(uris.length, 122);
+  
+  for (const uri of ['mind://mind-1/%E0%A4%A', 'mind://mind-1']) {
+    const { body } = await rpc(worker, env, 'resources/read', { uri });
+    assert.equal(body.error?.code, -32602, uri);
+  }
+  const { body } = await rpc(worker, env, 'resources/list', { cursor: 'bogus' });
+  assert.equal(body.error?.code, -32602);
+});